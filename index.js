@@ -10,9 +10,34 @@
 
 const common = require('x2node-common');
 
-const ResultSetParser = require('./lib/result-set-parser.js');
+const ParserContext = require('./lib/parser-context.js');
+const RecordStream = require('./lib/record-stream.js');
+const ReferredRecordsCache = require('./lib/referred-records-cache.js');
+const markupBuilder = require('./lib/markup-builder.js');
+const markupValidator = require('./lib/markup-validator.js');
+const recordsFlattener = require('./lib/records-flattener.js');
+const sqlGenerator = require('./lib/sql-generator.js');
+const datetime = require('./lib/datetime.js');
+const booleanEncoding = require('./lib/boolean-encoding.js');
 
 
+/**
+ * Left-pad a non-negative integer with zeros.
+ *
+ * @private
+ * @param {number} num The number.
+ * @param {number} len Minimum number of digits.
+ * @returns {string} The padded number.
+ */
+function pad(num, len) {
+
+	let str = String(num);
+	while (str.length < len)
+		str = '0' + str;
+
+	return str;
+}
+
 /**
  * Value extractors registry.
  *
@@ -26,14 +51,63 @@ const VALUE_EXTRACTORS = {
 	'number': function(val) {
 		return (val === null ? null : Number(val));
 	},
-	'boolean': function(val) {
-		return (val === null ? null : (val ? true : false));
+	'boolean': function(val, rowNum, colInd, encoding) {
+		if ((val === null) || !encoding)
+			return (val === null ? null : (val ? true : false));
+		const res = booleanEncoding.decode(val, encoding);
+		if (res === undefined)
+			throw new common.X2DataError(
+				'Invalid Boolean value ' + String(val) + ' (row ' +
+					((rowNum || 0) + 1) + ', col ' + ((colInd || 0) + 1) + ').');
+		return res;
+	},
+	'datetime': function(val, rowNum, colInd, timeZone) {
+		return datetime.extractDatetime(val, rowNum, colInd, timeZone);
 	},
-	'datetime': function(val) {
-		return (val === null ? null : val.toISOString());
+	'bigint': function(val) {
+		return (val === null ? null : String(val));
+	},
+	'decimal': function(val) {
+		return (val === null ? null : String(val));
+	},
+	'binary': function(val) {
+		return (
+			val === null ? null : (
+				(typeof val) === 'string' ? val :
+					Buffer.from(val).toString('hex')));
+	},
+	'json': function(val) {
+		if (val === null)
+			return null;
+		if (Buffer.isBuffer(val))
+			return JSON.parse(val.toString('utf8'));
+		return ((typeof val) === 'string' ? JSON.parse(val) : val);
+	},
+	'date': function(val) {
+		if (val === null)
+			return null;
+		if (!(val instanceof Date))
+			return String(val).substring(0, 10);
+		return String(val.getFullYear()) + '-' + pad(val.getMonth() + 1, 2) +
+			'-' + pad(val.getDate(), 2);
+	},
+	'time': function(val) {
+		if (val === null)
+			return null;
+		if (!(val instanceof Date))
+			return String(val);
+		return pad(val.getHours(), 2) + ':' + pad(val.getMinutes(), 2) + ':' +
+			pad(val.getSeconds(), 2) + (
+				val.getMilliseconds() > 0 ?
+					'.' + pad(val.getMilliseconds(), 3) : '');
 	},
 	'isNull': function(val) {
 		return (val === null);
+	},
+	'sql:bit': function(val) {
+		return (
+			Buffer.isBuffer(val) ? val.reduce((num, b) => num * 256 + b, 0) :
+				val);
 	}
 };
 
@@ -50,6 +124,14 @@ const VALUE_EXTRACTORS = {
  */
 const TAG = Symbol('X2NODE_RSPARSER');
 
+/**
+ * Default parser context, which uses the value extractors registry.
+ *
+ * @private
+ * @constant {module:x2node-rsparser~ParserContext}
+ */
+const DEFAULT_CONTEXT = new ParserContext(TAG, VALUE_EXTRACTORS);
+
 /**
  * Tell if the provided object is supported by the module. Currently, only a
  * record types library instance can be tested using this function and it tells
@@ -73,16 +155,293 @@ exports.isSupported = function(obj) {
  * library.
  * @param {string} topRecordTypeName Name of the record type, records of which
  * are being extracted from the result set.
+ * @param {module:x2node-rsparser~ParserOptions} [options] Parser specific
+ * options, such as value extractors that override the registered ones for
+ * this parser only.
  * @returns {module:x2node-rsparser~ResultSetParser} New uninitialized result set
  * parser.
+ * @throws {module:x2node-common.X2UsageError} If the record types library does
+ * not have the rsparser extension or the options are invalid.
  */
-exports.getResultSetParser = function(recordTypes, topRecordTypeName) {
+exports.getResultSetParser = function(recordTypes, topRecordTypeName, options) {
 
-	if (!recordTypes[TAG])
-		throw new common.X2UsageError(
-			'Record types library does not have the rsparser extension.');
+	return DEFAULT_CONTEXT.getResultSetParser(
+		recordTypes, topRecordTypeName, options);
+};
+
+/**
+ * Create new parser context. A parser context has its own value extractors
+ * configuration, which is used by all parsers created with the context and
+ * which does not affect parsers created elsewhere. Value types that are not
+ * overridden in the context fall back to the extractors registered with the
+ * module.
+ *
+ * @param {module:x2node-rsparser~ParserOptions} [options] Context options.
+ * @returns {module:x2node-rsparser~ParserContext} New parser context.
+ * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+ */
+exports.createParserContext = function(options) {
+
+	return DEFAULT_CONTEXT.createParserContext(options);
+};
+
+/**
+ * Create new empty referred records cache, which can be passed to multiple
+ * parsers in the <code>referredRecordsCache</code> option so that the fetched
+ * referred records completely read by one of them are reused by the others and
+ * are not parsed again.
+ *
+ * @returns {module:x2node-rsparser~ReferredRecordsCache} New referred records
+ * cache.
+ */
+exports.createReferredRecordsCache = function() {
+
+	return new ReferredRecordsCache();
+};
+
+/**
+ * Create object mode transform stream, which can be written result set rows and
+ * which produces top records extracted from them as soon as each record is
+ * complete. The provided parser is switched into the streaming mode and must be
+ * initialized with the markup before the first row is written to the stream.
+ *
+ * @param {module:x2node-rsparser~ResultSetParser} parser The parser.
+ * @returns {module:x2node-rsparser~RecordStream} The stream.
+ */
+exports.createRecordStream = function(parser) {
+
+	return new RecordStream(parser);
+};
+
+/**
+ * Parse result set rows provided by an iterable or an async iterable (such as a
+ * database driver's cursor or row stream) into an async iterable of top
+ * records. Each top record becomes available as soon as it is complete. The
+ * fetched referred records are available via returned iterator's
+ * <code>referredRecords</code> property once the iteration is finished.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the record type, records of which
+ * are being extracted from the result set.
+ * @param {Array.<string>} markup Markup for each column in the result set.
+ * @param {(AsyncIterable.<*>|Iterable.<*>)} rows The result set rows.
+ * @param {module:x2node-rsparser~ParserOptions} [options] Parser specific
+ * options.
+ * @returns {module:x2node-rsparser~RecordsAsyncIterator} Async iterable of the
+ * top records.
+ * @throws {module:x2node-common.X2UsageError} If async iteration is not
+ * supported by the runtime or the rows are not iterable.
+ * @throws {module:x2node-common.X2SyntaxError} If provided markup syntax is
+ * invalid.
+ */
+exports.parseAsync = function(
+	recordTypes, topRecordTypeName, markup, rows, options) {
+
+	return DEFAULT_CONTEXT.parseAsync(
+		recordTypes, topRecordTypeName, markup, rows, options);
+};
+
+/**
+ * Columns markup built by the module's
+ * [buildMarkup()]{@link module:x2node-rsparser.buildMarkup} function.
+ *
+ * @typedef {Object} BuiltMarkup
+ * @memberof module:x2node-rsparser
+ * @property {Array.<string>} markup The markup for each result set column,
+ * which can be used to initialize a parser.
+ * @property {Array.<module:x2node-rsparser~MarkupColumn>} columns Description
+ * of each result set column in the markup.
+ */
+/**
+ * Build columns markup for selecting the specified properties. The nesting
+ * level prefixes are generated automatically and the columns are ordered so
+ * that the collection properties are at the end of each nesting level. Some
+ * columns are added implicitly: the top record id column, nested object array
+ * element id columns, fetched referred record id columns and columns for all
+ * subtypes of polymorphic objects and references. If none of the properties of
+ * a nested object or a fetched referred record are selected explicitly, all its
+ * simple scalar properties are selected.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the record type, records of which
+ * are being selected.
+ * @param {Array.<string>} propPaths Paths of the selected properties. Path
+ * elements are separated with dots. A reference property path element can end
+ * with a colon to fetch the referred record. A reference property in the
+ * middle of a path is fetched automatically. Polymorphic object subtype names
+ * and polymorphic reference target record type names are used in the paths as
+ * if they were nested properties.
+ * @returns {module:x2node-rsparser~BuiltMarkup} The markup.
+ * @throws {module:x2node-common.X2UsageError} If any of the property paths is
+ * invalid or the selected properties have more than one collection axis.
+ */
+exports.buildMarkup = function(recordTypes, topRecordTypeName, propPaths) {
+
+	const columns = markupBuilder.buildMarkupColumns(
+		recordTypes, topRecordTypeName, propPaths);
+
+	return {
+		markup: columns.map(col => col.markup),
+		columns: columns
+	};
+};
+
+/**
+ * Create query for records with properties on multiple collection axes. The
+ * selected properties are split by collection axis and the returned query
+ * object provides markup for each axis. The application executes a database
+ * query for each markup and passes the result sets to the query object's
+ * <code>parse()</code> or <code>parseAsync()</code> method, which parses them
+ * and merges the results.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the record type, records of which
+ * are being selected.
+ * @param {Array.<string>} propPaths Paths of the selected properties in the
+ * same format as for the
+ * [buildMarkup()]{@link module:x2node-rsparser.buildMarkup} function.
+ * @param {module:x2node-rsparser~ParserOptions} [options] Options for the
+ * parsers.
+ * @returns {module:x2node-rsparser~MultiAxisQuery} The query.
+ * @throws {module:x2node-common.X2UsageError} If the record types library
+ * does not have the rsparser extension, or any of the property paths or the
+ * options are invalid.
+ */
+exports.createMultiAxisQuery = function(
+	recordTypes, topRecordTypeName, propPaths, options) {
 
-	return new ResultSetParser(recordTypes, VALUE_EXTRACTORS, topRecordTypeName);
+	return DEFAULT_CONTEXT.createMultiAxisQuery(
+		recordTypes, topRecordTypeName, propPaths, options);
+};
+
+/**
+ * Validate columns markup and report all the problems in it at once, as opposed
+ * to the parser's <code>init()</code> method, which throws an error on the
+ * first problem. Useful in unit tests and lint steps for hand-written queries.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the record type, records of which
+ * are being selected.
+ * @param {Array.<string>} markup Markup for each column in the result set.
+ * @returns {Array.<module:x2node-rsparser~MarkupProblem>} The problems, or
+ * empty array if the markup is valid.
+ * @throws {module:x2node-common.X2UsageError} If the markup argument is of
+ * invalid type.
+ */
+exports.validateMarkup = function(recordTypes, topRecordTypeName, markup) {
+
+	return markupValidator.validateMarkup(
+		recordTypes, topRecordTypeName, markup);
+};
+
+/**
+ * Flatten records into result set rows for the specified markup, which is the
+ * reverse of what the parser does. The rows are the same as a SQL query with
+ * the markup would return, including the repeated parent columns and NULL
+ * anchors for empty collections, so that feeding them to a parser initialized
+ * with the same markup yields the same records. The raw values are produced as
+ * expected by the default value extractors for the property value types, or
+ * the <code>extractorType</code> attributes if specified (for example,
+ * datetime values are converted to <code>Date</code> objects, "binary" values
+ * to buffers and "json" values to JSON strings). Boolean values of properties
+ * with a <code>booleanEncoding</code> attribute are encoded with the first of
+ * the encoding's raw values for them. Anchor columns of nested object arrays
+ * and reference arrays get element ids, anchor columns of other arrays get
+ * one-based element indexes and presence columns of nested objects and
+ * polymorphic references get <code>1</code>.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the top records type.
+ * @param {Array.<string>} markup Markup for each column in the result set.
+ * @param {Array.<Object>} records The top records.
+ * @param {Object.<string,Object>} [referredRecords] Referred records for the
+ * fetched reference properties in the markup.
+ * @param {Object} [options] Options.
+ * @param {module:x2node-rsparser~ObjectFactory} [options.objectFactory] Object
+ * factory used to create the records, whose map and array access hooks are used
+ * to read the collections.
+ * @returns {Array.<Array.<*>>} The result set rows.
+ * @throws {module:x2node-common.X2UsageError} If the record types library
+ * does not have the rsparser extension, the object factory is invalid, or a
+ * referred record for a fetched reference is missing.
+ * @throws {module:x2node-common.X2SyntaxError} If the markup is invalid.
+ */
+exports.flattenRecords = function(
+	recordTypes, topRecordTypeName, markup, records, referredRecords,
+	options) {
+
+	const parser = DEFAULT_CONTEXT.getResultSetParser(
+		recordTypes, topRecordTypeName,
+		{ objectFactory: (options && options.objectFactory) });
+	parser.init(markup);
+
+	return recordsFlattener.flattenRecords(parser, records, referredRecords);
+};
+
+/**
+ * SELECT statement built by the module's
+ * [buildSelect()]{@link module:x2node-rsparser.buildSelect} function.
+ *
+ * @typedef {Object} BuiltSelect
+ * @memberof module:x2node-rsparser
+ * @property {string} sql The SQL SELECT statement.
+ * @property {Array.<string>} markup The markup for each column in the
+ * statement's result set, which can be used to initialize a parser.
+ * @property {Array.<module:x2node-rsparser~MarkupColumn>} columns Description
+ * of each result set column in the markup.
+ */
+/**
+ * Build SQL SELECT statement for the specified properties. The markup is built
+ * the same way as by the
+ * [buildMarkup()]{@link module:x2node-rsparser.buildMarkup} function and is
+ * used as the column labels. The tables and columns are mapped using the
+ * following attributes in the record types library definitions:
+ * <code>table</code> on record types (defaults to the record type name),
+ * <code>column</code> on properties (defaults to the property name),
+ * <code>table</code> and <code>parentIdColumn</code> on collection properties
+ * and nested object properties stored in a separate table,
+ * <code>columnPrefix</code> on nested object properties stored in the parent
+ * table, and <code>keyColumn</code> on map properties that do not have a key
+ * property. Nested objects, collections and fetched references are joined with
+ * LEFT JOINs and the rows are ordered by the top record id and every
+ * collection anchor. Polymorphic properties are not supported.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Name of the record type, records of which
+ * are being selected.
+ * @param {Array.<string>} propPaths Paths of the selected properties in the
+ * same format as for the
+ * [buildMarkup()]{@link module:x2node-rsparser.buildMarkup} function.
+ * @param {module:x2node-rsparser~SelectOptions} [options] Generator options.
+ * @returns {module:x2node-rsparser~BuiltSelect} The statement and its markup.
+ * @throws {module:x2node-common.X2UsageError} If the record types library
+ * does not have the rsparser extension, any of the property paths or the
+ * options are invalid, the selected properties have more than one collection
+ * axis, a required mapping attribute is missing, two selected properties are
+ * mapped to the same column or a polymorphic property is selected.
+ */
+exports.buildSelect = function(
+	recordTypes, topRecordTypeName, propPaths, options) {
+
+	const columns = markupBuilder.buildMarkupColumns(
+		recordTypes, topRecordTypeName, propPaths);
+	const markup = columns.map(col => col.markup);
+
+	const parser = DEFAULT_CONTEXT.getResultSetParser(
+		recordTypes, topRecordTypeName);
+	parser.init(markup);
+
+	return {
+		sql: sqlGenerator.buildSelect(parser, options),
+		markup: markup,
+		columns: columns
+	};
 };
 
 /**
@@ -92,18 +451,27 @@ exports.getResultSetParser = function(recordTypes, topRecordTypeName) {
  * @param {*} rawVal Raw value returned by the underlying database driver.
  * @param {number} rowNum Current result set row number, starting from zero.
  * @param {number} colInd Column inder, starting from zero.
+ * @param {*} [typeOption] For the "datetime" extractor, time zone, in which to
+ * interpret values without one, and for the "boolean" extractor, normalized
+ * Boolean encoding, if specified for the property or the parser.
  * @returns {*} Value to be set in the resulting record object.
+ * @throws {module:x2node-common.X2DataError} If the raw value is invalid.
  */
 /**
- * Register a custom result set column value extractor.
+ * Register a custom result set column value extractor. The extractor is used by
+ * all subsequently created parsers, except for those, which have it overridden
+ * in their own or their context's options. Extractors registered under a SQL
+ * type name prefixed with "sql:", such as "sql:bit", preprocess raw values in
+ * the columns of that SQL type in parsers initialized with
+ * <code>initFromFields()</code> and must pass NULLs through.
  *
- * @param {string} type Value type.
+ * @param {string} type Value type, or "sql:" prefixed SQL type name.
  * @param {module:x2node-rsparser~valueExtractor} extractorFunc Extractor
  * function.
  */
 exports.registerValueExtractor = function(type, extractorFunc) {
 
-	VALUE_EXTRACTORS[type] = extractorFunc;
+	DEFAULT_CONTEXT.registerValueExtractor(type, extractorFunc);
 };
 
 /**
@@ -118,7 +486,7 @@ exports.registerValueExtractor = function(type, extractorFunc) {
  */
 exports.extractValue = function(type, rawVal, rowNum, colInd) {
 
-	return VALUE_EXTRACTORS[type](rawVal, (rowNum || 0), (colInd || 0));
+	return DEFAULT_CONTEXT.extractValue(type, rawVal, rowNum, colInd);
 };
 
 
@@ -146,7 +514,8 @@ exports.extendRecordTypesLibrary = function(ctx, recordTypes) {
  * @constant {RegExp}
  */
 const KEY_VALUE_TYPE_RE = new RegExp(
-	'^(string|number|boolean|datetime)|(ref)\\(([^|\\s]+)\\)$'
+	'^(?:(string|number|boolean|datetime|bigint|decimal|binary|date|time)|' +
+		'(ref)\\(([^|\\s]+)\\))$'
 );
 
 /**
@@ -183,6 +552,8 @@ function invalidPropDef(propDesc, msg) {
  * descriptor.
  * @param {module:x2node-records~PropertiesContainer} keyPropContainer Key
  * property container.
+ * @throws {module:x2node-common.X2UsageError} If the key property is not
+ * suitable to be the map key.
  */
 function processKeyProperty(propDesc, keyPropContainer) {
 
@@ -204,6 +575,21 @@ function processKeyProperty(propDesc, keyPropContainer) {
 	propDesc._keyValueType = keyPropDesc.scalarValueType;
 	if (keyPropDesc.isRef())
 		propDesc._keyRefTarget = keyPropDesc.refTarget;
+	else if (keyPropDesc.extractorType)
+		propDesc._keyValueType = keyPropDesc.extractorType;
+
+	// the key property extractor type must be allowed for the map keys
+	if (!keyPropDesc.isRef()) {
+		const m = KEY_VALUE_TYPE_RE.exec(propDesc._keyValueType);
+		if ((m === null) || !m[1])
+			throw invalidPropDef(
+				propDesc, 'key property ' + keyPropName + ' extractor type ' +
+					propDesc._keyValueType + ' is not allowed for map keys.');
+	}
+
+	// use key property custom value extractor for the key if any
+	if (!propDesc._keyValueExtractor && keyPropDesc.valueExtractor)
+		propDesc._keyValueExtractor = keyPropDesc.valueExtractor;
 }
 
 // extend property descriptors
@@ -227,6 +613,67 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 			});
 	}
 
+	// process custom value extractor attribute
+	if (propDef.valueExtractor !== undefined) {
+		if ((typeof propDef.valueExtractor) !== 'function')
+			throw invalidPropDef(
+				propDesc, 'valueExtractor attribute is not a function.');
+		if (propDesc.scalarValueType === 'object')
+			throw invalidPropDef(
+				propDesc, 'nested object property may not have valueExtractor' +
+					' attribute.');
+		propDesc._valueExtractor = propDef.valueExtractor;
+	}
+
+	// process value extractor type attribute
+	if (propDef.extractorType !== undefined) {
+		if ((typeof propDef.extractorType) !== 'string')
+			throw invalidPropDef(
+				propDesc, 'extractorType attribute is not a string.');
+		if (propDesc.scalarValueType === 'object')
+			throw invalidPropDef(
+				propDesc, 'nested object property may not have extractorType' +
+					' attribute.');
+		propDesc._extractorType = propDef.extractorType;
+	}
+
+	// process datetime time zone attribute
+	if (propDef.timeZone !== undefined) {
+		if (propDesc.scalarValueType !== 'datetime')
+			throw invalidPropDef(
+				propDesc, 'timeZone attribute is only allowed for a datetime' +
+					' property.');
+		if (!datetime.isValidTimeZone(propDef.timeZone))
+			throw invalidPropDef(
+				propDesc, 'invalid timeZone attribute.');
+		propDesc._timeZone = propDef.timeZone;
+	}
+
+	// process Boolean encoding attribute
+	if (propDef.booleanEncoding !== undefined) {
+		if (propDesc.scalarValueType !== 'boolean')
+			throw invalidPropDef(
+				propDesc, 'booleanEncoding attribute is only allowed for' +
+					' a Boolean property.');
+		propDesc._booleanEncoding = booleanEncoding.normalize(
+			propDef.booleanEncoding);
+		if (propDesc._booleanEncoding === null)
+			throw invalidPropDef(
+				propDesc, 'invalid booleanEncoding attribute.');
+	}
+
+	// process custom map key value extractor attribute
+	if (propDef.keyValueExtractor !== undefined) {
+		if (!propDesc.isMap())
+			throw invalidPropDef(
+				propDesc, 'keyValueExtractor attribute is only allowed for' +
+					' a map property.');
+		if ((typeof propDef.keyValueExtractor) !== 'function')
+			throw invalidPropDef(
+				propDesc, 'keyValueExtractor attribute is not a function.');
+		propDesc._keyValueExtractor = propDef.keyValueExtractor;
+	}
+
 	// process map key attributes
 	if (propDesc.isMap()) {
 		if (propDef.keyPropertyName) {
@@ -343,6 +790,69 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 		get() { return this._keyPropertyName; }
 	});
 
+	/**
+	 * Custom value extractor specified for the property in the definition. If
+	 * specified, it is used instead of the value extractor for the property
+	 * value type. For a reference property, the extractor is used for the
+	 * referred record id.
+	 *
+	 * @member {module:x2node-rsparser~valueExtractor=} module:x2node-rsparser~PropertyDescriptorWithRSParser#valueExtractor
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'valueExtractor', {
+		get() { return this._valueExtractor; }
+	});
+
+	/**
+	 * Value extractor type specified for the property in the definition, such
+	 * as "bigint", "decimal", "binary", "json", "date" or "time". If specified,
+	 * the value extractor registered for this type is used instead of the one
+	 * for the property value type, unless the property also has a custom
+	 * value extractor. For a reference property, the extractor is used for the
+	 * referred record id.
+	 *
+	 * @member {string=} module:x2node-rsparser~PropertyDescriptorWithRSParser#extractorType
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'extractorType', {
+		get() { return this._extractorType; }
+	});
+
+	/**
+	 * For a datetime property, time zone, in which to interpret raw values
+	 * without one, if specified in the definition. Overrides the parser's
+	 * <code>timeZone</code> option.
+	 *
+	 * @member {string=} module:x2node-rsparser~PropertyDescriptorWithRSParser#timeZone
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'timeZone', {
+		get() { return this._timeZone; }
+	});
+
+	/**
+	 * For a Boolean property, normalized encoding of the Boolean values in the
+	 * database, if specified in the definition. Overrides the parser's
+	 * <code>booleanEncoding</code> option.
+	 *
+	 * @member {Object=} module:x2node-rsparser~PropertyDescriptorWithRSParser#booleanEncoding
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'booleanEncoding', {
+		get() { return this._booleanEncoding; }
+	});
+
+	/**
+	 * For a map property, custom value extractor for the map key, if specified
+	 * in the definition or for the key property.
+	 *
+	 * @member {module:x2node-rsparser~valueExtractor=} module:x2node-rsparser~PropertyDescriptorWithRSParser#keyValueExtractor
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'keyValueExtractor', {
+		get() { return this._keyValueExtractor; }
+	});
+
 	// return the descriptor
 	return propDesc;
 };
@@ -0,0 +1,129 @@
+'use strict';
+
+
+/**
+ * Boolean encoding presets.
+ *
+ * @private
+ * @constant {Object.<string,module:x2node-rsparser~BooleanEncoding>}
+ */
+const PRESETS = {
+	'YN': { trueValues: [ 'Y' ], falseValues: [ 'N' ] },
+	'TF': { trueValues: [ 'T' ], falseValues: [ 'F' ] },
+	'trueFalse': { trueValues: [ 'true' ], falseValues: [ 'false' ] },
+	'01': { trueValues: [ 1, '1' ], falseValues: [ 0, '0' ] }
+};
+
+/**
+ * Encoding of Boolean values in the database.
+ *
+ * @typedef {Object} BooleanEncoding
+ * @memberof module:x2node-rsparser
+ * @property {Array.<(string|number)>} trueValues Raw values that mean
+ * <code>true</code>. Must not be empty.
+ * @property {Array.<(string|number)>} falseValues Raw values that mean
+ * <code>false</code>. Must not be empty and must not overlap with the
+ * <code>trueValues</code> (after trimming and, unless
+ * <code>ignoreCase</code> is <code>false</code>, case folding).
+ * @property {boolean} [ignoreCase=true] Compare string raw values ignoring the
+ * case. String raw values are always trimmed.
+ * @property {boolean} [bits=true] Decode buffer raw values (such as MySQL
+ * <code>BIT(1)</code> column values) as bit fields: <code>false</code> if all
+ * bits are zero, <code>true</code> otherwise.
+ */
+
+/**
+ * Validate and normalize boolean encoding.
+ *
+ * @private
+ * @param {(string|module:x2node-rsparser~BooleanEncoding)} encoding Preset
+ * name ("YN", "TF", "trueFalse" or "01") or encoding definition.
+ * @returns {?Object} Normalized encoding, or <code>null</code> if invalid.
+ */
+function normalize(encoding) {
+
+	const def = (
+		(typeof encoding) === 'string' ? (
+			PRESETS.hasOwnProperty(encoding) ? PRESETS[encoding] : null) :
+			encoding);
+	if ((def === null) || ((typeof def) !== 'object') ||
+		!Array.isArray(def.trueValues) || !Array.isArray(def.falseValues) ||
+		((def.ignoreCase !== undefined) &&
+			((typeof def.ignoreCase) !== 'boolean')) ||
+		((def.bits !== undefined) && ((typeof def.bits) !== 'boolean')))
+		return null;
+
+	// both value sets must be non-empty lists of strings and numbers
+	const isValidValue = val => (
+		((typeof val) === 'string') ||
+			(((typeof val) === 'number') && !isNaN(val)));
+	if ((def.trueValues.length < 1) || (def.falseValues.length < 1) ||
+		!def.trueValues.every(isValidValue) ||
+		!def.falseValues.every(isValidValue))
+		return null;
+
+	const ignoreCase = (def.ignoreCase !== false);
+	const normalizeValue = val => (
+		(typeof val) === 'string' ?
+			(ignoreCase ? val.trim().toUpperCase() : val.trim()) : val);
+
+	// the value sets may not overlap
+	const trueValues = new Set(def.trueValues.map(normalizeValue));
+	const falseValues = new Set(def.falseValues.map(normalizeValue));
+	for (let val of falseValues)
+		if (trueValues.has(val))
+			return null;
+
+	return {
+		trueValues: trueValues,
+		falseValues: falseValues,
+		trueValue: def.trueValues[0],
+		falseValue: def.falseValues[0],
+		normalizeValue: normalizeValue,
+		bits: (def.bits !== false)
+	};
+}
+
+/**
+ * Decode non-null raw Boolean value.
+ *
+ * @private
+ * @param {*} val The raw value.
+ * @param {Object} encoding Normalized encoding.
+ * @returns {(boolean|undefined)} The Boolean value, or <code>undefined</code>
+ * if the raw value is not recognized.
+ */
+function decode(val, encoding) {
+
+	if ((typeof val) === 'boolean')
+		return val;
+
+	if (Buffer.isBuffer(val))
+		return (encoding.bits ? val.some(b => (b !== 0)) : undefined);
+
+	const normalizedVal = encoding.normalizeValue(val);
+	if (encoding.trueValues.has(normalizedVal))
+		return true;
+	if (encoding.falseValues.has(normalizedVal))
+		return false;
+
+	return undefined;
+}
+
+/**
+ * Encode Boolean value into the first of the encoding's raw values for it.
+ *
+ * @private
+ * @param {boolean} val The Boolean value.
+ * @param {Object} encoding Normalized encoding.
+ * @returns {(string|number)} The raw value.
+ */
+function encode(val, encoding) {
+
+	return (val ? encoding.trueValue : encoding.falseValue);
+}
+
+// export the functions
+exports.normalize = normalize;
+exports.decode = decode;
+exports.encode = encode;
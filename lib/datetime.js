@@ -0,0 +1,214 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Pattern for ISO and SQL formatted datetime strings.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const DATETIME_RE = new RegExp(
+	'^(\\d{4})-(\\d{2})-(\\d{2})' +
+		'(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?)?' +
+		'\\s*(Z|[+-]\\d{2}(?::?\\d{2})?)?$', 'i');
+
+/**
+ * Pattern for epoch time strings.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const EPOCH_RE = /^-?\d+(?:\.\d+)?$/;
+
+/**
+ * Pattern for fixed offset time zones.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const OFFSET_RE = /^([+-])(\d{2}):?(\d{2})?$/;
+
+/**
+ * Epoch numbers with absolute value below this are seconds, otherwise
+ * milliseconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_EPOCH_SECONDS = 1e11;
+
+/**
+ * Cached date formatters for named time zones.
+ *
+ * @private
+ * @type {Map.<string,Intl.DateTimeFormat>}
+ */
+const FORMATTERS = new Map();
+
+/**
+ * Get date formatter for a named time zone.
+ *
+ * @private
+ * @param {string} timeZone IANA time zone name.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ * @throws {RangeError} If the time zone is not supported.
+ */
+function getFormatter(timeZone) {
+
+	let formatter = FORMATTERS.get(timeZone);
+	if (!formatter) {
+		formatter = new Intl.DateTimeFormat('en-US', {
+			timeZone: timeZone,
+			hour12: false,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit'
+		});
+		FORMATTERS.set(timeZone, formatter);
+	}
+
+	return formatter;
+}
+
+/**
+ * Tell if the time zone specification is valid.
+ *
+ * @private
+ * @param {string} timeZone Time zone: "local", "UTC", fixed offset such as
+ * "+05:30" or IANA time zone name such as "America/New_York".
+ * @returns {boolean} <code>true</code> if valid.
+ */
+function isValidTimeZone(timeZone) {
+
+	if ((typeof timeZone) !== 'string')
+		return false;
+
+	if ((timeZone === 'local') || OFFSET_RE.test(timeZone))
+		return true;
+
+	try {
+		getFormatter(timeZone);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * Get offset of a time zone from UTC at the specified moment.
+ *
+ * @private
+ * @param {number} time The moment as epoch milliseconds.
+ * @param {string} timeZone Time zone.
+ * @returns {number} Offset in milliseconds.
+ */
+function getOffset(time, timeZone) {
+
+	if (timeZone === 'local')
+		return -new Date(time).getTimezoneOffset() * 60000;
+
+	const m = OFFSET_RE.exec(timeZone);
+	if (m)
+		return (m[1] === '-' ? -1 : 1) *
+			(Number(m[2]) * 60 + Number(m[3] || 0)) * 60000;
+
+	const p = /(\d+)\/(\d+)\/(\d+),? (\d+):(\d+):(\d+)/.exec(
+		getFormatter(timeZone).format(new Date(time)));
+
+	return Date.UTC(
+		Number(p[3]), Number(p[1]) - 1, Number(p[2]), Number(p[4]) % 24,
+		Number(p[5]), Number(p[6])) - (time - time % 1000);
+}
+
+/**
+ * Parse raw datetime value.
+ *
+ * @private
+ * @param {*} val The raw value.
+ * @param {string} timeZone Time zone for values without one.
+ * @returns {?number} Epoch milliseconds, or <code>null</code> if the value
+ * cannot be parsed.
+ */
+function parse(val, timeZone) {
+
+	if (val instanceof Date)
+		return val.getTime();
+
+	if (((typeof val) === 'number') ||
+		(((typeof val) === 'string') && EPOCH_RE.test(val))) {
+		const num = Number(val);
+		return (
+			Math.abs(num) < MAX_EPOCH_SECONDS ? Math.round(num * 1000) : num);
+	}
+
+	if ((typeof val) !== 'string')
+		return null;
+
+	const m = DATETIME_RE.exec(val.trim());
+	if (m === null)
+		return null;
+
+	// get the fields
+	const fields = [
+		Number(m[1]), Number(m[2]) - 1, Number(m[3]),
+		Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0),
+		Number(((m[7] || '') + '000').substring(0, 3))
+	];
+	const wallTime = Date.UTC.apply(null, fields);
+	const check = new Date(wallTime);
+	if ((check.getUTCFullYear() !== fields[0]) ||
+		(check.getUTCMonth() !== fields[1]) ||
+		(check.getUTCDate() !== fields[2]) ||
+		(check.getUTCHours() !== fields[3]) ||
+		(check.getUTCMinutes() !== fields[4]) ||
+		(check.getUTCSeconds() !== fields[5]))
+		return null;
+
+	// apply the time zone
+	const zone = (
+		m[8] ? (m[8].toUpperCase() === 'Z' ? 'UTC' : m[8]) : timeZone);
+	if (zone === 'UTC')
+		return wallTime;
+	const time = wallTime - getOffset(wallTime, zone);
+
+	return wallTime - getOffset(time, zone);
+}
+
+/**
+ * Datetime value extractor. Accepts <code>Date</code> objects, ISO and SQL
+ * formatted strings and epoch seconds or milliseconds.
+ *
+ * @private
+ * @param {*} rawVal The raw value.
+ * @param {number} [rowNum=0] Result set row number.
+ * @param {number} [colInd=0] Result set column index.
+ * @param {string} [timeZone="local"] Time zone for the values without one.
+ * @returns {?string} ISO formatted datetime in UTC, or <code>null</code> if
+ * the raw value is <code>null</code>.
+ * @throws {module:x2node-common.X2DataError} If the raw value cannot be
+ * parsed.
+ */
+function extractDatetime(rawVal, rowNum, colInd, timeZone) {
+
+	if (rawVal === null)
+		return null;
+
+	// the time may be a number outside of the range dates can represent
+	const time = parse(rawVal, timeZone || 'local');
+	const date = (time === null ? null : new Date(time));
+	if ((date === null) || !isFinite(date.getTime()))
+		throw new common.X2DataError(
+			'Invalid datetime value ' + String(rawVal) + ' (row ' +
+				((rowNum || 0) + 1) + ', col ' + ((colInd || 0) + 1) + ').');
+
+	return date.toISOString();
+}
+
+// export the functions
+exports.isValidTimeZone = isValidTimeZone;
+exports.extractDatetime = extractDatetime;
@@ -0,0 +1,155 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * SQL type names by MySQL column type codes as reported by the mysql and mysql2
+ * drivers.
+ *
+ * @private
+ * @constant {Object.<number,string>}
+ */
+const MYSQL_TYPES = {
+	0: 'decimal',
+	1: 'tinyint',
+	2: 'smallint',
+	3: 'int',
+	4: 'float',
+	5: 'double',
+	6: 'null',
+	7: 'timestamp',
+	8: 'bigint',
+	9: 'mediumint',
+	10: 'date',
+	11: 'time',
+	12: 'datetime',
+	13: 'year',
+	14: 'date',
+	15: 'varchar',
+	16: 'bit',
+	17: 'timestamp',
+	18: 'datetime',
+	19: 'time',
+	245: 'json',
+	246: 'decimal',
+	247: 'enum',
+	248: 'set',
+	249: 'tinyblob',
+	250: 'mediumblob',
+	251: 'longblob',
+	252: 'blob',
+	253: 'varchar',
+	254: 'char',
+	255: 'geometry'
+};
+
+/**
+ * SQL type names by PostgreSQL type OIDs as reported by the pg driver.
+ *
+ * @private
+ * @constant {Object.<number,string>}
+ */
+const PG_TYPES = {
+	16: 'bool',
+	17: 'bytea',
+	18: 'char',
+	19: 'name',
+	20: 'int8',
+	21: 'int2',
+	23: 'int4',
+	25: 'text',
+	26: 'oid',
+	114: 'json',
+	700: 'float4',
+	701: 'float8',
+	1042: 'bpchar',
+	1043: 'varchar',
+	1082: 'date',
+	1083: 'time',
+	1114: 'timestamp',
+	1184: 'timestamptz',
+	1186: 'interval',
+	1266: 'timetz',
+	1560: 'bit',
+	1562: 'varbit',
+	1700: 'numeric',
+	2950: 'uuid',
+	3802: 'jsonb'
+};
+
+/**
+ * Result set column description.
+ *
+ * @private
+ * @typedef {Object} ColumnField
+ * @property {string} name Column label, which is the column markup.
+ * @property {?string} sqlType SQL type name, or <code>null</code> if unknown.
+ */
+
+/**
+ * Get SQL type name for a driver field descriptor.
+ *
+ * @private
+ * @param {Object} field The field descriptor.
+ * @returns {?string} The SQL type name, or <code>null</code> if unknown.
+ * @throws {module:x2node-common.X2UsageError} If the field descriptor format
+ * is not recognized.
+ */
+function getSqlType(field) {
+
+	// pg
+	if ((typeof field.dataTypeID) === 'number')
+		return (PG_TYPES[field.dataTypeID] || null);
+
+	// mysql2 and mysql
+	const mysqlType = (
+		(typeof field.columnType) === 'number' ? field.columnType : field.type);
+	if ((typeof mysqlType) === 'number')
+		return (MYSQL_TYPES[mysqlType] || null);
+
+	// better-sqlite3 (declared type, such as "VARCHAR(20)", or null)
+	if (((typeof field.type) === 'string') ||
+		((field.type === null) && field.hasOwnProperty('column')))
+		return (
+			field.type === null ? null :
+				field.type.replace(/\(.*$/, '').trim().toLowerCase() || null);
+
+	throw new common.X2UsageError(
+		'Unrecognized format of field ' + field.name + ' descriptor.');
+}
+
+/**
+ * Get result set column descriptions from database driver field descriptors.
+ * Supported are the mysql and mysql2 <code>fields</code>, pg
+ * <code>result.fields</code> and better-sqlite3 statement
+ * <code>columns()</code>.
+ *
+ * @private
+ * @param {Array.<Object>} fields The field descriptors.
+ * @returns {Array.<module:x2node-rsparser~ColumnField>} The column
+ * descriptions.
+ * @throws {module:x2node-common.X2UsageError} If the field descriptors are
+ * invalid.
+ */
+function parseFields(fields) {
+
+	if (!Array.isArray(fields) || (fields.length < 1))
+		throw new common.X2UsageError(
+			'The fields must be an array of driver field descriptors with at' +
+				' least one element.');
+
+	return fields.map(field => {
+		if ((field === null) || ((typeof field) !== 'object') ||
+			((typeof field.name) !== 'string'))
+			throw new common.X2UsageError(
+				'Driver field descriptor must be an object with a name.');
+		return {
+			name: field.name,
+			sqlType: getSqlType(field)
+		};
+	});
+}
+
+// export the parser function
+exports.parseFields = parseFields;
@@ -0,0 +1,463 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Node in the tree of selected properties.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class PropertyNode {
+
+	constructor(recordTypes, propDesc, path) {
+
+		this._recordTypes = recordTypes;
+
+		this.propDesc = propDesc;
+		this.path = path;
+		this.fetch = false;
+		this.children = new Map();
+	}
+
+	/**
+	 * Container of the node's child properties, or <code>null</code> if the
+	 * node cannot have children (also, if it is a reference that is not
+	 * fetched).
+	 *
+	 * @member {?module:x2node-records~PropertiesContainer}
+	 * @readonly
+	 */
+	get container() {
+
+		const propDesc = this.propDesc;
+		if (propDesc.isRef())
+			return (
+				this.fetch ?
+					this._recordTypes.getRecordTypeDesc(propDesc.refTarget) :
+					null
+			);
+		if (propDesc.scalarValueType === 'object')
+			return propDesc.nestedProperties;
+
+		return null;
+	}
+
+	/**
+	 * Tell if the node is for an object, whose simple properties are selected
+	 * by default if none of its properties are selected explicitly.
+	 *
+	 * @returns {boolean} <code>true</code> if object node.
+	 */
+	isObject() {
+
+		return (
+			(this.container !== null) && !this.propDesc.isPolymorphRef());
+	}
+
+	/**
+	 * Tell if the node or any of its descendants is a collection property.
+	 *
+	 * @returns {boolean} <code>true</code> if the node is on a collection axis.
+	 */
+	hasCollection() {
+
+		if (!this.propDesc.isScalar())
+			return true;
+
+		for (let child of this.children.values())
+			if (child.hasCollection())
+				return true;
+
+		return false;
+	}
+
+	/**
+	 * Get child node for the specified property, creating it if necessary.
+	 *
+	 * @param {string} propName Property name.
+	 * @returns {module:x2node-rsparser~PropertyNode} The child node.
+	 * @throws {module:x2node-common.X2UsageError} If no such property.
+	 */
+	getChild(propName) {
+
+		let child = this.children.get(propName);
+		if (child)
+			return child;
+
+		const container = this.container;
+		if (container === null)
+			throw new common.X2UsageError(
+				'Property ' + this.path + ' is not a nested object or a' +
+					' reference and cannot have properties selected.');
+		if (!container.hasProperty(propName))
+			throw new common.X2UsageError(
+				'Record type ' + String(container.recordTypeName) +
+					' does not have property ' + container.nestedPath +
+					propName + '.');
+
+		child = new PropertyNode(
+			this._recordTypes, container.getPropertyDesc(propName), (
+				this.path.length > 0 ? this.path + '.' + propName : propName));
+		this.children.set(propName, child);
+
+		return child;
+	}
+
+	/**
+	 * Create a copy of the node with the specified children.
+	 *
+	 * @param {Array.<module:x2node-rsparser~PropertyNode>} children Children of
+	 * the copy.
+	 * @returns {module:x2node-rsparser~PropertyNode} The copy.
+	 */
+	copyWith(children) {
+
+		const node = new PropertyNode(
+			this._recordTypes, this.propDesc, this.path);
+		node.fetch = this.fetch;
+		for (let child of children)
+			node.children.set(child.propDesc.name, child);
+
+		return node;
+	}
+}
+
+/**
+ * Build the tree of selected properties.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Top record type name.
+ * @param {Array.<string>} propPaths Selected property paths.
+ * @returns {module:x2node-rsparser~PropertyNode} Root node of the tree, which
+ * is a pseudo-node for the top record type.
+ * @throws {module:x2node-common.X2UsageError} If any of the property paths is
+ * invalid.
+ */
+function buildPropertyTree(recordTypes, topRecordTypeName, propPaths) {
+
+	const root = new PropertyNode(recordTypes, {
+		isRef() { return false; },
+		isScalar() { return true; },
+		isPolymorphRef() { return false; },
+		scalarValueType: 'object',
+		nestedProperties: recordTypes.getRecordTypeDesc(topRecordTypeName)
+	}, '');
+
+	for (let propPath of propPaths) {
+		let node = root;
+		const pathElements = propPath.split('.');
+		pathElements.forEach((pathElement, i) => {
+			const fetch = pathElement.endsWith(':');
+			const propName = (
+				fetch ? pathElement.substring(0, pathElement.length - 1) :
+					pathElement);
+			node = node.getChild(propName);
+			if (fetch && !node.propDesc.isRef())
+				throw new common.X2UsageError(
+					'Property ' + node.path +
+						' is not a reference and cannot be fetched.');
+			if (node.propDesc.isRef() &&
+				(fetch || (i < pathElements.length - 1)))
+				node.fetch = true;
+		});
+	}
+
+	return root;
+}
+
+/**
+ * Get the child nodes of a node that are on a collection axis. The selected
+ * properties may be put in a single markup only if there is no more than one
+ * such child on every level.
+ *
+ * @private
+ * @param {module:x2node-rsparser~PropertyNode} node The node.
+ * @param {?string} [excludedPropName] Name of the property to exclude, if any.
+ * @returns {Array.<module:x2node-rsparser~PropertyNode>} The child nodes.
+ */
+function getAxisChildren(node, excludedPropName) {
+
+	return Array.from(node.children.values()).filter(child => (
+		(child.propDesc.name !== excludedPropName) && child.hasCollection()));
+}
+
+/**
+ * Get the child nodes of a node in the order, in which they must appear in the
+ * markup, including the ones implied by the selected properties.
+ *
+ * @private
+ * @param {module:x2node-rsparser~PropertyNode} node The node.
+ * @param {?string} idPropName Name of the id property to put first, if any.
+ * @param {?string} excludedPropName Name of the property to exclude, if any.
+ * @returns {Array.<module:x2node-rsparser~PropertyNode>} The child nodes.
+ * @throws {module:x2node-common.X2UsageError} If the selected properties have
+ * more than one collection axis.
+ */
+function getLevelNodes(node, idPropName, excludedPropName) {
+
+	const container = node.container;
+
+	// select simple properties by default
+	if ((node.children.size === 0) && node.isObject()) {
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			if (propDesc.isScalar() && !propDesc.isSubtype() &&
+				(propDesc.scalarValueType !== 'object') &&
+				!propDesc.isPolymorphObjectType() &&
+				!propDesc.isCalculated() && !propDesc.isView())
+				node.getChild(propName);
+		}
+	}
+
+	// add the id property
+	if (idPropName)
+		node.getChild(idPropName);
+
+	// all subtypes must be present
+	if (container.isPolymorph())
+		for (let subtype of container.subtypes)
+			node.getChild(subtype);
+
+	// only one child may be on a collection axis
+	const axisNodes = getAxisChildren(node, excludedPropName);
+	if (axisNodes.length > 1)
+		throw new common.X2UsageError(
+			'More than one collection axis: properties ' +
+				axisNodes[0].path + ' and ' + axisNodes[1].path + '.');
+	const axisNode = axisNodes[0];
+
+	// order the nodes
+	const nodes = new Array();
+	for (let child of node.children.values()) {
+		const propName = child.propDesc.name;
+		if ((propName === excludedPropName) || (child === axisNode))
+			continue;
+		if (propName === idPropName) {
+			nodes.unshift(child);
+		} else {
+			nodes.push(child);
+		}
+	}
+	if (axisNode)
+		nodes.push(axisNode);
+
+	return nodes;
+}
+
+/**
+ * Split the tree of selected properties into trees that each have a single
+ * collection axis. The properties that are not on any collection axis go to
+ * the first tree. The rest of the trees include only the properties on the
+ * axis (and the implied ids).
+ *
+ * @private
+ * @param {module:x2node-rsparser~PropertyNode} node Root node of the tree.
+ * @returns {Array.<module:x2node-rsparser~PropertyNode>} Root nodes of the
+ * single axis trees.
+ */
+function splitAxes(node) {
+
+	const axisChildren = getAxisChildren(node);
+	const axes = new Array();
+	for (let child of axisChildren)
+		for (let axisChild of splitAxes(child))
+			axes.push(axisChild);
+
+	if (axes.length <= 1)
+		return [ node ];
+
+	const nonAxisChildren = Array.from(node.children.values()).filter(
+		child => (axisChildren.indexOf(child) < 0));
+
+	return axes.map((axisChild, i) => node.copyWith(
+		i === 0 ? nonAxisChildren.concat([ axisChild ]) : [ axisChild ]));
+}
+
+/**
+ * Get nested level prefix suffix for the specified sequential number of the
+ * nested level in the parent level.
+ *
+ * @private
+ * @param {number} n Sequential number of the nested level, starting from zero.
+ * @returns {string} The suffix.
+ */
+function levelSuffix(n) {
+
+	const letter = String.fromCharCode(0x61 + (n % 26));
+
+	return (n < 26 ? letter : levelSuffix(Math.floor(n / 26) - 1) + letter);
+}
+
+/**
+ * Column markup builder.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class MarkupBuilder {
+
+	constructor() {
+
+		this._columns = new Array();
+	}
+
+	get columns() { return this._columns; }
+
+	/**
+	 * Add column.
+	 *
+	 * @param {string} prefix Nesting level prefix.
+	 * @param {string} name Property name part of the markup.
+	 * @param {string} propPath Property path.
+	 * @param {string} role Column role.
+	 */
+	addColumn(prefix, name, propPath, role) {
+
+		this._columns.push({
+			markup: (prefix.length > 0 ? prefix + '$' + name : name),
+			propertyPath: propPath,
+			role: role
+		});
+	}
+
+	/**
+	 * Add columns for a nesting level.
+	 *
+	 * @param {module:x2node-rsparser~PropertyNode} node Node of the object on
+	 * the level.
+	 * @param {string} prefix The level prefix.
+	 * @param {?string} [idPropName] Name of the id property to put first.
+	 * @param {?string} [excludedPropName] Name of the property to exclude.
+	 */
+	addLevel(node, prefix, idPropName, excludedPropName) {
+
+		let numNestedLevels = 0;
+		const nextPrefix = () => prefix + levelSuffix(numNestedLevels++);
+
+		for (let child of getLevelNodes(node, idPropName, excludedPropName)) {
+			const propDesc = child.propDesc;
+			const propName = propDesc.name;
+			const propPath = child.path;
+
+			// scalar property
+			if (propDesc.isScalar()) {
+				if (propDesc.scalarValueType === 'object') {
+					this.addColumn(
+						prefix, propName, propPath, (
+							propDesc.isPolymorphRef() ? 'polymorphicRef' : (
+								propDesc.isSubtype() ? 'subtype' : 'object')));
+					this.addLevel(child, nextPrefix());
+				} else if (propDesc.isRef() && child.fetch) {
+					this.addColumn(
+						prefix, propName + ':', propPath, 'fetchedRef');
+					this.addLevel(
+						child, nextPrefix(), child.container.idPropertyName);
+				} else {
+					this.addColumn(
+						prefix, propName, propPath, (
+							propDesc.isId() ? 'id' : (
+								propDesc.isRef() ? 'ref' : 'value')));
+				}
+				continue;
+			}
+
+			// collection property
+			const anchorRole = (propDesc.isMap() ? 'key' : 'anchor');
+			const elementsPrefix = nextPrefix();
+			if (propDesc.isRef() && child.fetch) {
+				this.addColumn(prefix, propName + ':', propPath, anchorRole);
+				const idPropName = child.container.idPropertyName;
+				this.addColumn(
+					elementsPrefix, idPropName, propPath, 'fetchedRef');
+				this.addLevel(child, elementsPrefix, null, idPropName);
+			} else if (propDesc.scalarValueType === 'object') {
+				this.addColumn(prefix, propName, propPath, anchorRole);
+				this.addLevel(
+					child, elementsPrefix, (
+						propDesc.isArray() && !propDesc.isPolymorphRef() ?
+							child.container.idPropertyName : null));
+			} else {
+				this.addColumn(prefix, propName, propPath, anchorRole);
+				this.addColumn(elementsPrefix, '', propPath, 'element');
+			}
+		}
+	}
+}
+
+/**
+ * Column in the markup built by the markup builder.
+ *
+ * @typedef {Object} MarkupColumn
+ * @memberof module:x2node-rsparser
+ * @property {string} markup The column markup.
+ * @property {string} propertyPath Path of the property, to which the column
+ * belongs. For polymorphic object subtype columns and polymorphic reference
+ * target columns the subtype name or the target record type name is included
+ * in the path as if it were a nested property.
+ * @property {string} role Column role, which is one of: "id" for record or
+ * nested object id property, "value" for simple scalar property, "ref" for
+ * a reference property, "fetchedRef" for fetched reference property (the
+ * column value is the referred record id), "object" for a nested object
+ * presence column, "subtype" for a polymorphic object subtype presence column,
+ * "polymorphicRef" for a polymorphic reference presence column, "anchor" for
+ * an array anchor column, "key" for a map key column and "element" for a
+ * simple value collection element column.
+ */
+
+/**
+ * Build columns markup for the specified list of selected property paths.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Top record type name.
+ * @param {Array.<string>} propPaths Selected property paths.
+ * @returns {Array.<module:x2node-rsparser~MarkupColumn>} The columns.
+ * @throws {module:x2node-common.X2UsageError} If any of the property paths is
+ * invalid or the selected properties have more than one collection axis.
+ */
+function buildMarkupColumns(recordTypes, topRecordTypeName, propPaths) {
+
+	const root = buildPropertyTree(recordTypes, topRecordTypeName, propPaths);
+
+	const builder = new MarkupBuilder();
+	builder.addLevel(root, '', root.container.idPropertyName);
+
+	return builder.columns;
+}
+
+/**
+ * Build columns markup for the specified list of selected property paths
+ * split by collection axes, one markup per axis.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Top record type name.
+ * @param {Array.<string>} propPaths Selected property paths.
+ * @returns {Array.<Array.<module:x2node-rsparser~MarkupColumn>>} The columns
+ * for each collection axis. Properties that are not on any collection axis
+ * are included in the first markup.
+ * @throws {module:x2node-common.X2UsageError} If any of the property paths is
+ * invalid.
+ */
+function buildAxesMarkupColumns(recordTypes, topRecordTypeName, propPaths) {
+
+	const root = buildPropertyTree(recordTypes, topRecordTypeName, propPaths);
+
+	return splitAxes(root).map(axisRoot => {
+		const builder = new MarkupBuilder();
+		builder.addLevel(axisRoot, '', axisRoot.container.idPropertyName);
+		return builder.columns;
+	});
+}
+
+// export the builder functions
+exports.buildMarkupColumns = buildMarkupColumns;
+exports.buildAxesMarkupColumns = buildAxesMarkupColumns;
@@ -0,0 +1,62 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const MarkupWalker = require('./markup-walker.js');
+
+
+/**
+ * Problem found in the columns markup.
+ *
+ * @typedef {Object} MarkupProblem
+ * @memberof module:x2node-rsparser
+ * @property {number} colInd Index of the offending column.
+ * @property {string} markup The offending column markup.
+ * @property {string} expectedPrefix Nesting level prefix expected at the
+ * column.
+ * @property {string} message Problem description. The first problem is the
+ * same as the error the parser's <code>init()</code> method would throw.
+ * @property {?string} suggestion Suggested fix, or <code>null</code> if none.
+ */
+
+/**
+ * Validate columns markup and collect all the problems.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} topRecordTypeName Top record type name.
+ * @param {Array.<string>} markup Markup for each column in the result set.
+ * @returns {Array.<module:x2node-rsparser~MarkupProblem>} The problems, empty
+ * if the markup is valid.
+ * @throws {module:x2node-common.X2UsageError} If the markup argument is of
+ * invalid type.
+ */
+function validateMarkup(recordTypes, topRecordTypeName, markup) {
+
+	if (!Array.isArray(markup) || (markup.length < 1))
+		throw new common.X2UsageError(
+			'The markup definition must be an array of strings with at' +
+				' least one element.');
+
+	// walk the markup collecting the problems
+	const problems = new Array();
+	new MarkupWalker(recordTypes, markup, {
+		column() { return null; },
+		objectComplete() { /* nothing */ },
+		problem(colInd, expectedPrefix, message, suggestion) {
+			problems.push({
+				colInd: colInd,
+				markup: markup[colInd],
+				expectedPrefix: expectedPrefix,
+				message: message,
+				suggestion: suggestion
+			});
+		}
+	}).walk(recordTypes.getRecordTypeDesc(topRecordTypeName), null);
+
+	return problems;
+}
+
+// export the validator function
+exports.validateMarkup = validateMarkup;
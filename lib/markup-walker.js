@@ -0,0 +1,416 @@
+'use strict';
+
+
+/**
+ * Split column markup into the prefix, the property name and the fetch flag.
+ *
+ * @private
+ * @param {string} colDef Column markup.
+ * @returns {Object} Object with <code>prefix</code>, <code>propName</code> and
+ * <code>fetchRef</code> properties.
+ */
+function parseColumnMarkup(colDef) {
+
+	let prefix, propName;
+	const sepInd = colDef.lastIndexOf('$');
+	if (sepInd >= 0) {
+		prefix = colDef.substring(0, sepInd);
+		propName = colDef.substring(sepInd + 1);
+	} else {
+		prefix = '';
+		propName = colDef;
+	}
+
+	const fetchRef = propName.endsWith(':');
+	if (fetchRef)
+		propName = propName.substring(0, propName.length - 1);
+
+	return {
+		prefix: prefix,
+		propName: propName,
+		fetchRef: fetchRef
+	};
+}
+
+/**
+ * Calculate Levenshtein distance between two strings.
+ *
+ * @private
+ * @param {string} a First string.
+ * @param {string} b Second string.
+ * @returns {number} The distance.
+ */
+function editDistance(a, b) {
+
+	let prevRow = new Array();
+	for (let j = 0; j <= b.length; j++)
+		prevRow.push(j);
+
+	for (let i = 1; i <= a.length; i++) {
+		const row = [ i ];
+		for (let j = 1; j <= b.length; j++)
+			row.push(Math.min(
+				prevRow[j] + 1, row[j - 1] + 1,
+				prevRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+		prevRow = row;
+	}
+
+	return prevRow[b.length];
+}
+
+/**
+ * Find property in the container with the name closest to the specified one.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Properties
+ * container.
+ * @param {string} propName The misspelled property name.
+ * @returns {?string} The closest property name, or <code>null</code> if none
+ * is close enough.
+ */
+function findNearestPropertyName(container, propName) {
+
+	const maxDistance = Math.max(2, Math.floor(propName.length / 3));
+	const lcPropName = propName.toLowerCase();
+
+	let nearestPropName = null, nearestDistance = maxDistance + 1;
+	for (let candidate of container.allPropertyNames) {
+		const distance = editDistance(lcPropName, candidate.toLowerCase());
+		if (distance < nearestDistance) {
+			nearestPropName = candidate;
+			nearestDistance = distance;
+		}
+	}
+
+	return nearestPropName;
+}
+
+/**
+ * Visitor that receives the markup columns and problems from the markup
+ * walker.
+ *
+ * @private
+ * @typedef {Object} MarkupVisitor
+ * @property {function} column Function called for each column with the column
+ * index, the column kind ("topRecordId" for the first column, "property" for
+ * a column that starts a property and "element" for a collection element
+ * column that follows the anchor), the property descriptor, the property path,
+ * the fetch flag, the context of the column's nesting level and the index of
+ * the last anchor column. Returns the context for the nesting level that
+ * follows the column, if any.
+ * @property {function} objectComplete Function called with the context
+ * returned for a nested object or a fetched reference column and the index of
+ * the column next after the object's nesting level.
+ * @property {function} problem Function called with the column index, the
+ * nesting level prefix expected at the column, the problem message and the
+ * suggested fix or <code>null</code>. May throw to stop the walk, otherwise the
+ * walker skips the offending column and continues.
+ */
+
+/**
+ * Markup walker, which interprets the columns markup and reports the columns
+ * and the problems to a visitor. It is used both by the parser, which creates
+ * column handlers and fails on the first problem, and by the markup validator,
+ * which collects all the problems.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class MarkupWalker {
+
+	/**
+	 * Create new walker.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {Array.<string>} markup Markup for each column in the result set.
+	 * @param {module:x2node-rsparser~MarkupVisitor} visitor The visitor.
+	 */
+	constructor(recordTypes, markup, visitor) {
+
+		this._recordTypes = recordTypes;
+		this._markup = markup;
+		this._numColumns = markup.length;
+		this._visitor = visitor;
+
+		this._columns = markup.map(colDef => parseColumnMarkup(String(colDef)));
+		this._nextAnchors = new Map();
+	}
+
+	/**
+	 * Report a problem to the visitor.
+	 *
+	 * @param {number} colInd Column index.
+	 * @param {string} expectedPrefix Prefix expected at the column.
+	 * @param {string} message Problem description.
+	 * @param {?string} suggestion Suggested fix.
+	 */
+	problem(colInd, expectedPrefix, message, suggestion) {
+
+		this._visitor.problem(
+			colInd, expectedPrefix, 'Markup column ' + colInd + ': ' + message,
+			(suggestion || null));
+	}
+
+	/**
+	 * Walk the whole markup.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Top
+	 * record type descriptor.
+	 * @param {*} context Context of the top level.
+	 */
+	walk(recordTypeDesc, context) {
+
+		// walk the top level and report columns left over after it
+		const first = this._columns[0];
+		let colInd = this.walkLevel(0, null, 0, context, recordTypeDesc, '');
+		while (colInd < this._numColumns) {
+			const expectedPrefix = this._columns[colInd - 1].prefix;
+			this.problem(
+				colInd, expectedPrefix, 'unexpected column prefix.',
+				'Use prefix "' + expectedPrefix + '" to continue the nesting' +
+					' level of column ' + (colInd - 1) + ', or check the' +
+					' prefix of the property that starts the intended nesting' +
+					' level.');
+			colInd = this.skipNested(colInd + 1, this._columns[colInd].prefix);
+			if (colInd < this._numColumns)
+				colInd = this.walkLevel(
+					colInd, null, 0, context, recordTypeDesc, '',
+					first.prefix);
+		}
+	}
+
+	/**
+	 * Walk nesting level markup.
+	 *
+	 * @param {number} startColInd First level column index.
+	 * @param {?string} parentPrefix Parent level prefix.
+	 * @param {number} lastAnchorColInd Index of the last anchor column.
+	 * @param {*} context Context of the level.
+	 * @param {module:x2node-records~PropertiesContainer} container Level
+	 * properties container.
+	 * @param {string} parentPath Level object property path, or empty string
+	 * for the top record.
+	 * @param {string} [resumePrefix] Top level prefix when resuming the top
+	 * level walk after a problem.
+	 * @returns {number} Index of the column next after the level.
+	 */
+	walkLevel(
+		startColInd, parentPrefix, lastAnchorColInd, context, container,
+		parentPath, resumePrefix) {
+
+		// determine level prefix
+		const levelPrefix = (
+			resumePrefix !== undefined ? resumePrefix :
+				this.getLevelPrefix(startColInd, parentPrefix));
+		if (levelPrefix === null)
+			return startColInd;
+
+		// walk the level columns
+		const visitor = this._visitor;
+		let colInd = startColInd;
+		let exhaustedBy = null;
+		do {
+
+			// can't have any more columns once the level is exhausted
+			const col = this._columns[colInd];
+			if (exhaustedBy) {
+				this.problem(
+					colInd, levelPrefix,
+					'cannot have any more properties at this nesting level.',
+					'Move the column before the collection property ' +
+						exhaustedBy + ' column.');
+				colInd = this.skipNested(colInd + 1, col.prefix);
+				continue;
+			}
+
+			// check if end of the level
+			if (col.prefix !== levelPrefix)
+				return colInd;
+
+			// check that the property exists
+			if (!container.hasProperty(col.propName)) {
+				const nearestPropName = findNearestPropertyName(
+					container, col.propName);
+				this.problem(
+					colInd, levelPrefix, 'record type ' +
+						container.recordTypeName + ' does not have property ' +
+						container.nestedPath + col.propName + '.', (
+						nearestPropName ?
+							'Did you mean "' + nearestPropName + '"?' : null));
+				colInd = this.skipNested(colInd + 1, levelPrefix);
+				continue;
+			}
+
+			// get property descriptor and path
+			const propDesc = container.getPropertyDesc(col.propName);
+			const propPath = (
+				parentPath.length > 0 ?
+					parentPath + '.' + col.propName : col.propName);
+
+			// only reference property can be fetched
+			let fetchRef = col.fetchRef;
+			if (fetchRef && !propDesc.isRef()) {
+				this.problem(
+					colInd, levelPrefix, 'record type ' +
+						container.recordTypeName + ' property ' +
+						container.nestedPath + col.propName +
+						' is not a reference and cannot be fetched.',
+					'Remove the trailing ":".');
+				fetchRef = false;
+			}
+
+			// check the top record id column
+			if (colInd === 0) {
+				if (!propDesc.isId()) {
+					this.problem(
+						0, levelPrefix,
+						'first column in the markup must refer to the record' +
+							' id property.',
+						'Start the markup with "' + (
+							levelPrefix.length > 0 ? levelPrefix + '$' : '') +
+							container.idPropertyName + '".');
+					colInd = this.skipNested(colInd + 1, levelPrefix);
+				} else {
+					visitor.column(
+						colInd, 'topRecordId', propDesc, propPath, false,
+						context, lastAnchorColInd);
+					colInd++;
+				}
+				continue;
+			}
+
+			// scalar property
+			if (propDesc.isScalar()) {
+				const propContext = visitor.column(
+					colInd, 'property', propDesc, propPath, fetchRef, context,
+					lastAnchorColInd);
+				const nestedContainer = (
+					propDesc.scalarValueType === 'object' ?
+						propDesc.nestedProperties : (
+							propDesc.isRef() && fetchRef ?
+								this._recordTypes.getRecordTypeDesc(
+									propDesc.refTarget) : null));
+				if (nestedContainer !== null) {
+					if (++colInd < this._numColumns)
+						colInd = this.walkLevel(
+							colInd, levelPrefix, lastAnchorColInd,
+							propContext, nestedContainer, propPath);
+					visitor.objectComplete(propContext, colInd);
+				} else {
+					colInd++;
+				}
+				continue;
+			}
+
+			// collection property
+			exhaustedBy = this._markup[colInd];
+			if (!this.setNextAnchor(lastAnchorColInd, colInd)) {
+				colInd = this.skipNested(colInd + 1, levelPrefix);
+				continue;
+			}
+			const anchorColInd = colInd;
+			const anchorContext = visitor.column(
+				colInd, 'property', propDesc, propPath, fetchRef, context,
+				lastAnchorColInd);
+			if (propDesc.scalarValueType === 'object') {
+				if (++colInd < this._numColumns)
+					colInd = this.walkLevel(
+						colInd, levelPrefix, anchorColInd, anchorContext,
+						propDesc.nestedProperties, propPath);
+			} else if (propDesc.isRef() && fetchRef) {
+				if (++colInd < this._numColumns) {
+					const refContext = visitor.column(
+						colInd, 'element', propDesc, propPath, true,
+						anchorContext, anchorColInd);
+					if (++colInd < this._numColumns)
+						colInd = this.walkLevel(
+							colInd, levelPrefix, anchorColInd, refContext,
+							this._recordTypes.getRecordTypeDesc(
+								propDesc.refTarget), propPath);
+				}
+			} else {
+				if ((++colInd < this._numColumns)
+					&& (this.getLevelPrefix(colInd, levelPrefix) !== null)) {
+					visitor.column(
+						colInd, 'element', propDesc, propPath, false,
+						anchorContext, anchorColInd);
+					colInd++;
+				}
+			}
+
+		} while (colInd < this._numColumns);
+
+		// end of the markup
+		return colInd;
+	}
+
+	/**
+	 * Register child anchor of an anchor column and check that there is only
+	 * one collection axis.
+	 *
+	 * @param {number} anchorColInd Parent anchor column index.
+	 * @param {number} nextAnchor Child anchor column index.
+	 * @returns {boolean} <code>false</code> if the anchor already has a child
+	 * anchor.
+	 */
+	setNextAnchor(anchorColInd, nextAnchor) {
+
+		const existingNextAnchor = this._nextAnchors.get(anchorColInd);
+		if (existingNextAnchor !== undefined) {
+			this.problem(
+				nextAnchor, this._columns[nextAnchor].prefix,
+				'more than one collection axis: anchor at column ' +
+					anchorColInd + ' already has a child anchor at column ' +
+					existingNextAnchor + '.',
+				'Select collection properties ' +
+					this._markup[existingNextAnchor] + ' and ' +
+					this._markup[nextAnchor] + ' in separate queries and' +
+					' merge the results.');
+			return false;
+		}
+
+		this._nextAnchors.set(anchorColInd, nextAnchor);
+
+		return true;
+	}
+
+	/**
+	 * Get nesting level prefix of a column.
+	 *
+	 * @param {number} colInd Column index.
+	 * @param {?string} parentPrefix Parent level prefix.
+	 * @returns {?string} The level prefix, or <code>null</code> if the column
+	 * does not start a nested level (nested level prefix must be longer than
+	 * the parent level).
+	 */
+	getLevelPrefix(colInd, parentPrefix) {
+
+		const prefix = this._columns[colInd].prefix;
+
+		if ((parentPrefix !== null) && (prefix.length <= parentPrefix.length))
+			return null;
+
+		return prefix;
+	}
+
+	/**
+	 * Skip columns that are nested under the specified level.
+	 *
+	 * @param {number} colInd Index of the first column to check.
+	 * @param {string} levelPrefix The level prefix.
+	 * @returns {number} Index of the first column not nested under the level.
+	 */
+	skipNested(colInd, levelPrefix) {
+
+		while ((colInd < this._numColumns)
+			&& (this.getLevelPrefix(colInd, levelPrefix) !== null))
+			colInd++;
+
+		return colInd;
+	}
+}
+
+// export the class
+module.exports = MarkupWalker;
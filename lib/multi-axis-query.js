@@ -0,0 +1,206 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Feed rows from an iterable or an async iterable to a parser.
+ *
+ * @private
+ * @param {module:x2node-rsparser~ResultSetParser} parser Initialized parser.
+ * @param {(AsyncIterable.<*>|Iterable.<*>)} rows The result set rows.
+ * @returns {Promise} Promise resolved when all the rows have been fed.
+ */
+function feedRowsAsync(parser, rows) {
+
+	const asyncIteratorFunc = (
+		rows && Symbol.asyncIterator && rows[Symbol.asyncIterator]);
+	const iteratorFunc = (rows && rows[Symbol.iterator]);
+	let rowsIterator;
+	if ((typeof asyncIteratorFunc) === 'function')
+		rowsIterator = asyncIteratorFunc.call(rows);
+	else if ((typeof iteratorFunc) === 'function')
+		rowsIterator = iteratorFunc.call(rows);
+	else
+		return Promise.reject(new common.X2UsageError(
+			'The result set rows must be an iterable or an async iterable.'));
+
+	const feedNext = () => Promise.resolve(rowsIterator.next()).then(res => {
+		if (res.done)
+			return;
+		parser.feedRow(res.value);
+		return feedNext();
+	});
+
+	return feedNext();
+}
+
+/**
+ * Query for records with properties on multiple collection axes. The query
+ * consists of one markup per collection axis. The application executes a
+ * database query for each markup and passes the result set rows to the query
+ * object, which parses them with a parser per axis and merges the parsers.
+ *
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class MultiAxisQuery {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using module's
+	 * [createMultiAxisQuery()]{@link module:x2node-rsparser.createMultiAxisQuery}
+	 * function.
+	 *
+	 * @param {Array.<Array.<module:x2node-rsparser~MarkupColumn>>} axesColumns
+	 * Markup columns for each collection axis.
+	 * @param {function} parserFactory Function that creates a new uninitialized
+	 * parser.
+	 * @throws {module:x2node-common.X2SyntaxError} If any of the axis markups
+	 * is rejected by the parser.
+	 */
+	constructor(axesColumns, parserFactory) {
+
+		this._axes = axesColumns.map(columns => ({
+			markup: columns.map(col => col.markup),
+			columns: columns
+		}));
+		this._parserFactory = parserFactory;
+
+		// make sure each markup is on a single collection axis
+		for (let axis of this._axes)
+			this._createParser(axis);
+	}
+
+	/**
+	 * Markup for each collection axis, in the same format as returned by
+	 * module's [buildMarkup()]{@link module:x2node-rsparser.buildMarkup}
+	 * function. Properties that are not on any collection axis are included in
+	 * the first markup.
+	 *
+	 * @member {Array.<module:x2node-rsparser~BuiltMarkup>}
+	 * @readonly
+	 */
+	get axes() { return this._axes; }
+
+	/**
+	 * Parse the result sets, one for each collection axis in the same order as
+	 * the axes, and merge the results.
+	 *
+	 * @param {Array.<Iterable.<*>>} rowSets Result set rows for each axis.
+	 * @param {module:x2node-rsparser~MergeOptions} [mergeOptions] Merge
+	 * options. The id-keyed mode is used unless explicitly turned off.
+	 * @returns {module:x2node-rsparser~ParsedRecords} The merged records.
+	 * @throws {module:x2node-common.X2UsageError} If the number of result sets
+	 * does not match the number of axes.
+	 */
+	parse(rowSets, mergeOptions) {
+
+		this._checkNumSources(rowSets);
+
+		return this._merge(this._axes.map((axis, i) => {
+			const parser = this._createParser(axis);
+			for (let row of rowSets[i])
+				parser.feedRow(row);
+			return parser;
+		}), mergeOptions);
+	}
+
+	/**
+	 * Parse the result sets provided by iterables or async iterables (such as
+	 * database driver's cursors), one for each collection axis in the same
+	 * order as the axes, and merge the results. The result sets are read one
+	 * after another.
+	 *
+	 * @param {Array.<(AsyncIterable.<*>|Iterable.<*>)>} rowSources Result set
+	 * rows for each axis.
+	 * @param {module:x2node-rsparser~MergeOptions} [mergeOptions] Merge
+	 * options. The id-keyed mode is used unless explicitly turned off.
+	 * @returns {Promise.<module:x2node-rsparser~ParsedRecords>} Promise of the
+	 * merged records.
+	 */
+	parseAsync(rowSources, mergeOptions) {
+
+		try {
+			this._checkNumSources(rowSources);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		const parsers = new Array();
+		return this._axes.reduce((promise, axis, i) => promise.then(() => {
+			const parser = this._createParser(axis);
+			parsers.push(parser);
+			return feedRowsAsync(parser, rowSources[i]);
+		}), Promise.resolve()).then(
+			() => this._merge(parsers, mergeOptions));
+	}
+
+	/**
+	 * Make sure there is a row source for each axis.
+	 *
+	 * @private
+	 * @param {Array} rowSources The row sources.
+	 * @throws {module:x2node-common.X2UsageError} If the number of row sources
+	 * does not match the number of axes.
+	 */
+	_checkNumSources(rowSources) {
+
+		if (!Array.isArray(rowSources) ||
+			(rowSources.length !== this._axes.length))
+			throw new common.X2UsageError(
+				'Expected result set rows for ' + this._axes.length +
+					' collection axes.');
+	}
+
+	/**
+	 * Create and initialize parser for an axis.
+	 *
+	 * @private
+	 * @param {module:x2node-rsparser~BuiltMarkup} axis The axis.
+	 * @returns {module:x2node-rsparser~ResultSetParser} The parser.
+	 */
+	_createParser(axis) {
+
+		const parser = this._parserFactory();
+		parser.init(axis.markup);
+
+		return parser;
+	}
+
+	/**
+	 * Merge the axis parsers.
+	 *
+	 * @private
+	 * @param {Array.<module:x2node-rsparser~ResultSetParser>} parsers The
+	 * parsers.
+	 * @param {module:x2node-rsparser~MergeOptions} [mergeOptions] Merge
+	 * options.
+	 * @returns {module:x2node-rsparser~ParsedRecords} The merged records.
+	 */
+	_merge(parsers, mergeOptions) {
+
+		const options = Object.assign({ byId: true }, mergeOptions);
+		const parser = parsers[0];
+		for (let i = 1; i < parsers.length; i++)
+			parser.merge(parsers[i], options);
+
+		return {
+			records: parser.records,
+			referredRecords: parser.referredRecords
+		};
+	}
+}
+
+/**
+ * Records parsed from the result sets.
+ *
+ * @typedef {Object} ParsedRecords
+ * @memberof module:x2node-rsparser
+ * @property {Array.<Object>} records The top records.
+ * @property {Object.<string,Object>} referredRecords The fetched referred
+ * records.
+ */
+
+// export the class
+module.exports = MultiAxisQuery;
@@ -0,0 +1,275 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const ResultSetParser = require('./result-set-parser.js');
+const RecordsAsyncIterator = require('./records-async-iterator.js');
+const MultiAxisQuery = require('./multi-axis-query.js');
+const markupBuilder = require('./markup-builder.js');
+
+
+/**
+ * Create value extractors collection that overrides some extractors in the base
+ * collection and falls back to the base collection for the rest.
+ *
+ * @private
+ * @param {Object.<string,module:x2node-rsparser~valueExtractor>} base Base
+ * value extractors.
+ * @param {Object.<string,module:x2node-rsparser~valueExtractor>} [overrides]
+ * Overriding value extractors by value type.
+ * @returns {Object.<string,module:x2node-rsparser~valueExtractor>} The value
+ * extractors, or the base collection if no overrides.
+ * @throws {module:x2node-common.X2UsageError} If any of the overrides is not a
+ * function.
+ */
+function overrideValueExtractors(base, overrides) {
+
+	if (!overrides)
+		return base;
+
+	const valueExtractors = Object.create(base);
+	Object.keys(overrides).forEach(type => {
+		const extractorFunc = overrides[type];
+		if ((typeof extractorFunc) !== 'function')
+			throw new common.X2UsageError(
+				'Value extractor for type ' + type + ' is not a function.');
+		valueExtractors[type] = extractorFunc;
+	});
+
+	return valueExtractors;
+}
+
+/**
+ * Options for a parser or a parser context.
+ *
+ * @typedef {Object} ParserOptions
+ * @memberof module:x2node-rsparser
+ * @property {Object.<string,module:x2node-rsparser~valueExtractor>}
+ * [valueExtractors] Value extractors by value type that override the ones
+ * otherwise used by the parsers. Value types without an override fall back to
+ * the defaults.
+ * @property {boolean} [lenient=false] Turn on the lenient mode, in which
+ * invalid data in a result set row does not make the parser's
+ * <code>feedRow()</code> method throw. Instead, the error is collected in the
+ * parser's <code>errors</code> property, the top record, to which the row
+ * belongs, is dropped (or kept, see <code>badRecords</code>) and the rest of
+ * its rows are skipped until a row with a different top record id. Ignored by
+ * parser contexts.
+ * @property {string} [badRecords="drop"] In the lenient mode, what to do with
+ * a top record that has an offending row: "drop" to remove it from the result,
+ * or "keep" to leave the partially extracted record in the result and refer to
+ * it from the collected error. Ignored by parser contexts.
+ * @property {boolean} [unordered=false] Turn on the unordered mode, in which
+ * the result set rows do not have to be ordered by the top record id and the
+ * collection anchors. The rows are buffered and parsed when the parser's
+ * <code>flush()</code> method is called or the parsing results are read,
+ * grouped by the top record id and each anchor on the collection axis. All
+ * rows must be fed before the results are read: feeding a row after that
+ * throws an <code>X2UsageError</code> until the parser is reset. Ignored by
+ * parser contexts.
+ * @property {(boolean|module:x2node-rsparser~EmbedReferredRecordsOptions)}
+ * [embedReferredRecords] Embed fetched referred records in the parsed records
+ * in place of or alongside the reference values. The embedding is done when
+ * the parser's <code>records</code> property is read, or, in the streaming
+ * mode, before each top record is passed to the record handler. Records with
+ * embedded referred records cannot be merged. <code>true</code> to embed with
+ * the default options. Ignored by parser contexts.
+ * @property {module:x2node-rsparser~ReferredRecordsCache}
+ * [referredRecordsCache] Referred records cache shared with other parsers.
+ * Fetched referred records found in the cache are reused and the result set
+ * rows that belong to them are skipped. The cache is not cleared when the
+ * parser is reset. Ignored by parser contexts.
+ * @property {module:x2node-rsparser~ObjectFactory} [objectFactory] Hooks for
+ * creating the records, nested objects, arrays and maps produced by the
+ * parser, for example to produce class instances or <code>Map</code>
+ * objects. The <code>merge()</code> method and the referred records embedding
+ * access the maps and arrays through the factory's hooks. Ignored by parser
+ * contexts.
+ * @property {string} [timeZone="local"] Time zone, in which the datetime
+ * extractor interprets raw values that do not have one, such as SQL formatted
+ * strings: "local", "UTC", a fixed offset such as "+05:30" or an IANA time zone
+ * name such as "America/New_York". Can be overridden for a specific property
+ * by its <code>timeZone</code> definition attribute. Ignored by parser
+ * contexts.
+ * @property {boolean} [strict=false] Turn on the strict mode, in which the
+ * value extractors reject <code>undefined</code> raw values (such as missing
+ * keys in object rows), raw values of types not suitable for the extractor
+ * type (such as a buffer for a Boolean property, or a <code>Date</code> or a
+ * buffer for a string property, which accepts only strings, numbers and
+ * BigInts) and extracted <code>NaN</code> values by throwing an
+ * <code>X2DataError</code>. Ignored by parser contexts.
+ * @property {(string|module:x2node-rsparser~BooleanEncoding)}
+ * [booleanEncoding] Encoding of the Boolean values in the database used by the
+ * "boolean" value extractor: a preset name ("YN", "TF", "trueFalse" or "01")
+ * or an encoding definition. Unrecognized raw values make the extractor throw
+ * an <code>X2DataError</code>. Can be overridden for a specific property by its
+ * <code>booleanEncoding</code> definition attribute. Ignored by parser
+ * contexts.
+ */
+
+/**
+ * Parser context, which carries a value extractors configuration scoped to the
+ * parsers created with it. A context is usually created once per database
+ * connection configuration.
+ *
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class ParserContext {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using module's
+	 * [createParserContext()]{@link module:x2node-rsparser.createParserContext}
+	 * function.
+	 *
+	 * @param {Symbol} tag Tag of the record types libraries that have the
+	 * rsparser extension.
+	 * @param {Object.<string,module:x2node-rsparser~valueExtractor>}
+	 * valueExtractors Value extractors used by the context's parsers.
+	 */
+	constructor(tag, valueExtractors) {
+
+		this._tag = tag;
+		this._valueExtractors = valueExtractors;
+	}
+
+	/**
+	 * Create a derived context, whose value extractors override the ones in
+	 * this context.
+	 *
+	 * @param {module:x2node-rsparser~ParserOptions} [options] Context options.
+	 * @returns {module:x2node-rsparser~ParserContext} New context.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	createParserContext(options) {
+
+		return new ParserContext(
+			this._tag, overrideValueExtractors(
+				this._valueExtractors,
+				(options && options.valueExtractors) || {}));
+	}
+
+	/**
+	 * Get new result set parser that uses the context's value extractors. See
+	 * module's
+	 * [getResultSetParser()]{@link module:x2node-rsparser.getResultSetParser}
+	 * function.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {string} topRecordTypeName Name of the record type, records of
+	 * which are being extracted from the result set.
+	 * @param {module:x2node-rsparser~ParserOptions} [options] Parser specific
+	 * options.
+	 * @returns {module:x2node-rsparser~ResultSetParser} New uninitialized result
+	 * set parser.
+	 * @throws {module:x2node-common.X2UsageError} If the record types library
+	 * does not have the rsparser extension or the options are invalid.
+	 */
+	getResultSetParser(recordTypes, topRecordTypeName, options) {
+
+		if (!recordTypes[this._tag])
+			throw new common.X2UsageError(
+				'Record types library does not have the rsparser extension.');
+
+		return new ResultSetParser(
+			recordTypes, overrideValueExtractors(
+				this._valueExtractors, options && options.valueExtractors),
+			topRecordTypeName, options);
+	}
+
+	/**
+	 * Parse result set rows into an async iterable of top records using a parser
+	 * created with the context. See module's
+	 * [parseAsync()]{@link module:x2node-rsparser.parseAsync} function.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {string} topRecordTypeName Name of the record type, records of
+	 * which are being extracted from the result set.
+	 * @param {Array.<string>} markup Markup for each column in the result set.
+	 * @param {(AsyncIterable.<*>|Iterable.<*>)} rows The result set rows.
+	 * @param {module:x2node-rsparser~ParserOptions} [options] Parser specific
+	 * options.
+	 * @returns {module:x2node-rsparser~RecordsAsyncIterator} Async iterable of
+	 * the top records.
+	 * @throws {module:x2node-common.X2UsageError} If async iteration is not
+	 * supported by the runtime or the rows are not iterable.
+	 */
+	parseAsync(recordTypes, topRecordTypeName, markup, rows, options) {
+
+		if (!Symbol.asyncIterator)
+			throw new common.X2UsageError(
+				'Async iteration is not supported by the runtime.');
+
+		const parser = this.getResultSetParser(
+			recordTypes, topRecordTypeName, options);
+		parser.init(markup);
+
+		return new RecordsAsyncIterator(parser, rows);
+	}
+
+	/**
+	 * Create query for records with properties on multiple collection axes,
+	 * whose parsers are created with the context. See module's
+	 * [createMultiAxisQuery()]{@link module:x2node-rsparser.createMultiAxisQuery}
+	 * function.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {string} topRecordTypeName Name of the record type, records of
+	 * which are being selected.
+	 * @param {Array.<string>} propPaths Paths of the selected properties.
+	 * @param {module:x2node-rsparser~ParserOptions} [options] Parser specific
+	 * options.
+	 * @returns {module:x2node-rsparser~MultiAxisQuery} The query.
+	 * @throws {module:x2node-common.X2UsageError} If the record types library
+	 * does not have the rsparser extension, or any of the property paths or
+	 * the options are invalid.
+	 */
+	createMultiAxisQuery(recordTypes, topRecordTypeName, propPaths, options) {
+
+		// make sure the parsers can be created
+		this.getResultSetParser(recordTypes, topRecordTypeName, options);
+
+		return new MultiAxisQuery(
+			markupBuilder.buildAxesMarkupColumns(
+				recordTypes, topRecordTypeName, propPaths),
+			() => this.getResultSetParser(
+				recordTypes, topRecordTypeName, options));
+	}
+
+	/**
+	 * Register a custom result set column value extractor in the context. The
+	 * extractor is used by all parsers subsequently created with this context
+	 * and the contexts derived from it.
+	 *
+	 * @param {string} type Value type.
+	 * @param {module:x2node-rsparser~valueExtractor} extractorFunc Extractor
+	 * function.
+	 */
+	registerValueExtractor(type, extractorFunc) {
+
+		this._valueExtractors[type] = extractorFunc;
+	}
+
+	/**
+	 * Call value extractor registered in the context to convert raw database
+	 * value into the record property value.
+	 *
+	 * @param {string} type Value type.
+	 * @param {*} rawVal Raw value from the database.
+	 * @param {number} [rowNum=0] Optional result set row number.
+	 * @param {number} [colInd=0] Optional result set column index.
+	 * @returns {*} Corresponding value for the record property.
+	 */
+	extractValue(type, rawVal, rowNum, colInd) {
+
+		return this._valueExtractors[type](
+			rawVal, (rowNum || 0), (colInd || 0));
+	}
+}
+
+// export the class
+module.exports = ParserContext;
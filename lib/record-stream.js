@@ -0,0 +1,71 @@
+'use strict';
+
+const Transform = require('stream').Transform;
+
+
+/**
+ * Object mode transform stream that consumes result set rows and produces top
+ * records extracted from them. The stream switches the underlying parser into
+ * the streaming mode.
+ *
+ * @memberof module:x2node-rsparser
+ * @inner
+ * @extends stream.Transform
+ */
+class RecordStream extends Transform {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using module's
+	 * [createRecordStream()]{@link module:x2node-rsparser.createRecordStream}
+	 * function.
+	 *
+	 * @param {module:x2node-rsparser~ResultSetParser} parser The parser. It must
+	 * be initialized with the markup before the first row is written to the
+	 * stream.
+	 */
+	constructor(parser) {
+		super({ objectMode: true });
+
+		this._parser = parser;
+
+		parser.setRecordHandler(rec => { this.push(rec); });
+	}
+
+	/**
+	 * The underlying parser. After the stream ends, the parser's
+	 * <code>referredRecords</code> property contains the fetched referred
+	 * records.
+	 *
+	 * @member {module:x2node-rsparser~ResultSetParser}
+	 * @readonly
+	 */
+	get parser() { return this._parser; }
+
+	// feed the row to the parser
+	_transform(row, encoding, callback) {
+
+		try {
+			this._parser.feedRow(row);
+		} catch (err) {
+			return callback(err);
+		}
+
+		callback();
+	}
+
+	// push out the last record
+	_flush(callback) {
+
+		try {
+			this._parser.flush();
+		} catch (err) {
+			return callback(err);
+		}
+
+		callback();
+	}
+}
+
+// export the class
+module.exports = RecordStream;
@@ -0,0 +1,165 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Async iterator over top records extracted from an iterable of result set
+ * rows. The iterator uses a result set parser in the streaming mode and feeds
+ * the rows to it as the records are requested.
+ *
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class RecordsAsyncIterator {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using module's
+	 * [parseAsync()]{@link module:x2node-rsparser.parseAsync} function.
+	 *
+	 * @param {module:x2node-rsparser~ResultSetParser} parser Initialized
+	 * parser.
+	 * @param {(AsyncIterable.<*>|Iterable.<*>)} rows The result set rows.
+	 * @throws {module:x2node-common.X2UsageError} If the rows argument is not
+	 * iterable.
+	 */
+	constructor(parser, rows) {
+
+		// get the rows iterator
+		const asyncIteratorFunc = (rows && rows[Symbol.asyncIterator]);
+		const iteratorFunc = (rows && rows[Symbol.iterator]);
+		if ((typeof asyncIteratorFunc) === 'function') {
+			this._rowsIterator = asyncIteratorFunc.call(rows);
+			this._syncRows = false;
+		} else if ((typeof iteratorFunc) === 'function') {
+			this._rowsIterator = iteratorFunc.call(rows);
+			this._syncRows = true;
+		} else {
+			throw new common.X2UsageError(
+				'The result set rows must be an iterable or an async iterable.');
+		}
+
+		// records ready to be returned
+		this._pending = new Array();
+		this._done = false;
+
+		// switch the parser into the streaming mode
+		this._parser = parser;
+		parser.setRecordHandler(rec => { this._pending.push(rec); });
+	}
+
+	/**
+	 * The underlying parser.
+	 *
+	 * @member {module:x2node-rsparser~ResultSetParser}
+	 * @readonly
+	 */
+	get parser() { return this._parser; }
+
+	/**
+	 * Fetched referred records. The collection is complete once the iteration
+	 * is finished.
+	 *
+	 * @member {Object.<string,Object>}
+	 * @readonly
+	 */
+	get referredRecords() { return this._parser.referredRecords; }
+
+	[Symbol.asyncIterator]() {
+
+		return this;
+	}
+
+	/**
+	 * Get next top record.
+	 *
+	 * @returns {Promise.<Object>} Promise of the iterator result.
+	 */
+	next() {
+
+		// read synchronous rows until next record is complete
+		if (this._syncRows) {
+			try {
+				while ((this._pending.length === 0) && !this._done)
+					this._consume(this._rowsIterator.next());
+			} catch (err) {
+				return Promise.reject(err);
+			}
+		}
+
+		// check if have a complete record
+		if (this._pending.length > 0)
+			return Promise.resolve({
+				value: this._pending.shift(),
+				done: false
+			});
+
+		// check if no more records
+		if (this._done)
+			return Promise.resolve({ value: undefined, done: true });
+
+		// read next asynchronous row
+		return Promise.resolve(this._rowsIterator.next()).then(res => {
+			this._consume(res);
+			return this.next();
+		});
+	}
+
+	/**
+	 * Finish the iteration before all the rows have been read.
+	 *
+	 * @param {*} [value] Value to return.
+	 * @returns {Promise.<Object>} Promise of the final iterator result.
+	 */
+	return(value) {
+
+		this._pending.length = 0;
+
+		return this._close().then(() => ({ value: value, done: true }));
+	}
+
+	/**
+	 * Process a rows iterator result.
+	 *
+	 * @private
+	 * @param {Object} res The rows iterator result.
+	 */
+	_consume(res) {
+
+		if (res.done) {
+			this._done = true;
+			this._parser.flush();
+			return;
+		}
+
+		try {
+			this._parser.feedRow(res.value);
+		} catch (err) {
+			this._close().catch(() => { /* the parser error takes over */ });
+			throw err;
+		}
+	}
+
+	/**
+	 * Mark the iteration as done and let the rows iterator release its
+	 * resources.
+	 *
+	 * @private
+	 * @returns {Promise} Promise resolved when the rows iterator is closed.
+	 */
+	_close() {
+
+		if (this._done)
+			return Promise.resolve();
+
+		this._done = true;
+
+		return Promise.resolve(
+			(typeof this._rowsIterator.return) === 'function' ?
+				this._rowsIterator.return() : undefined);
+	}
+}
+
+// export the class
+module.exports = RecordsAsyncIterator;
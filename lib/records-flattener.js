@@ -0,0 +1,419 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const booleanEncoding = require('./boolean-encoding.js');
+
+
+/**
+ * Raw value used in the presence columns of nested objects, polymorphic object
+ * subtypes and polymorphic references.
+ *
+ * @private
+ * @constant {number}
+ */
+const PRESENT = 1;
+
+/**
+ * Records flattener, which produces result set rows for the records, the
+ * reverse of what the parser does.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class RecordsFlattener {
+
+	constructor(recordTypes, columnInfos, referredRecords, objectFactory) {
+
+		this._recordTypes = recordTypes;
+		this._numColumns = columnInfos.length;
+		this._referredRecords = (referredRecords || new Object());
+		this._objectFactory = objectFactory;
+
+		// build the columns tree
+		this._topNodes = new Array();
+		const nodes = columnInfos.map(info => ({
+			colInd: info.colInd,
+			role: info.role,
+			propDesc: info.propDesc,
+			children: new Array()
+		}));
+		columnInfos.forEach((info, colInd) => {
+			if (info.parentColInd < 0)
+				this._topNodes.push(nodes[colInd]);
+			else
+				nodes[info.parentColInd].children.push(nodes[colInd]);
+		});
+	}
+
+	/**
+	 * Get result set rows for a top record.
+	 *
+	 * @param {Object} record The record.
+	 * @returns {Array.<Array.<*>>} The rows.
+	 */
+	flattenRecord(record) {
+
+		return this._levelFragments(this._topNodes, record).map(fragment => {
+			const row = new Array(this._numColumns);
+			for (let colInd = 0; colInd < this._numColumns; colInd++)
+				row[colInd] = (
+					fragment.hasOwnProperty(colInd) ? fragment[colInd] : null);
+			return row;
+		});
+	}
+
+	/**
+	 * Get row fragments for the columns on an object nesting level.
+	 *
+	 * @param {Array.<Object>} nodes The level column nodes.
+	 * @param {?Object} obj The object, or <code>null</code> if none.
+	 * @returns {Array.<Object.<number,*>>} Row fragments, which are objects
+	 * with column indexes as keys and raw values as values.
+	 */
+	_levelFragments(nodes, obj) {
+
+		return nodes.reduce((fragments, node) => product(
+			fragments, this._nodeFragments(node, obj)), [ new Object() ]);
+	}
+
+	/**
+	 * Get row fragments for a column and its nested columns.
+	 *
+	 * @param {Object} node The column node.
+	 * @param {?Object} obj The object that has the column's property, or
+	 * <code>null</code> if none.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_nodeFragments(node, obj) {
+
+		if (obj === null)
+			return [ nullFragment(node) ];
+
+		const propDesc = node.propDesc;
+		const val = obj[propDesc.name];
+		switch (node.role) {
+		case 'id':
+		case 'value':
+			return [ single(node.colInd, rawValue(
+				val, extractorType(propDesc), propDesc.booleanEncoding)) ];
+		case 'ref':
+		case 'fetchedRef':
+			return this._refFragments(node, val);
+		case 'object':
+			return this._presenceFragments(node, val, val);
+		case 'subtype':
+			return this._presenceFragments(node, (
+				obj[propDesc.container.typePropertyName] === propDesc.name ?
+					obj : undefined), obj);
+		case 'polymorphicRef':
+			return this._presenceFragments(node, val, val);
+		default: // anchor or key
+			return this._collectionFragments(node, val);
+		}
+	}
+
+	/**
+	 * Get row fragments for a presence column and its nested columns.
+	 *
+	 * @param {Object} node The column node.
+	 * @param {*} val Property value, <code>undefined</code> or
+	 * <code>null</code> if not present.
+	 * @param {*} nestedVal Value that provides the nested columns values.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_presenceFragments(node, val, nestedVal) {
+
+		if ((val === undefined) || (val === null))
+			return [ nullFragment(node) ];
+
+		return product(
+			[ single(node.colInd, PRESENT) ], (
+				node.role === 'polymorphicRef' ?
+					this._polymorphicRefFragments(node.children, nestedVal) :
+					this._levelFragments(node.children, nestedVal)));
+	}
+
+	/**
+	 * Get row fragments for the target columns of a polymorphic reference.
+	 *
+	 * @param {Array.<Object>} nodes The target column nodes.
+	 * @param {string} refVal The reference value.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_polymorphicRefFragments(nodes, refVal) {
+
+		const refTarget = refVal.substring(0, refVal.indexOf('#'));
+
+		return nodes.reduce((fragments, node) => product(
+			fragments, (
+				node.propDesc.refTarget === refTarget ?
+					this._refFragments(node, refVal) :
+					[ nullFragment(node) ])
+		), [ new Object() ]);
+	}
+
+	/**
+	 * Get row fragments for a reference column and, if the reference is
+	 * fetched, the referred record columns.
+	 *
+	 * @param {Object} node The column node.
+	 * @param {(string|undefined|null)} refVal The reference value.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_refFragments(node, refVal) {
+
+		if ((refVal === undefined) || (refVal === null))
+			return [ nullFragment(node) ];
+
+		const idFragment = single(node.colInd, this._refId(refVal));
+		if (node.children.length === 0)
+			return [ idFragment ];
+
+		const referredRec = this._referredRecords[refVal];
+		if (referredRec === undefined)
+			throw new common.X2UsageError(
+				'Referred record ' + refVal + ' is missing.');
+
+		return product(
+			[ idFragment ], this._levelFragments(node.children, referredRec));
+	}
+
+	/**
+	 * Get row fragments for a collection anchor column and the collection
+	 * element columns.
+	 *
+	 * @param {Object} node The anchor column node.
+	 * @param {(Array|Object|undefined)} coll The collection.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_collectionFragments(node, coll) {
+
+		const propDesc = node.propDesc;
+
+		// get anchor values and elements
+		const factory = this._objectFactory;
+		const entries = new Array();
+		if (propDesc.isMap()) {
+			if (coll)
+				factory.getMapKeys(coll, propDesc).forEach(key => {
+					entries.push({
+						anchor: (
+							propDesc.keyValueType === 'ref' ?
+								this._refId(key) :
+								rawValue(key, propDesc.keyValueType)),
+						element: factory.getMapElement(coll, key, propDesc)
+					});
+				});
+		} else if (coll) {
+			factory.getArrayElements(coll, propDesc).forEach((element, i) => {
+				const simpleValue = (
+					(propDesc.scalarValueType !== 'object') && !propDesc.isRef());
+				if ((element === null) && !simpleValue)
+					return;
+				let anchor;
+				if (propDesc.isPolymorphRef() || simpleValue)
+					anchor = i + 1;
+				else if (propDesc.isRef())
+					anchor = this._refId(element);
+				else
+					anchor = rawValue(
+						element[propDesc.nestedProperties.idPropertyName],
+						extractorType(propDesc.nestedProperties.getPropertyDesc(
+							propDesc.nestedProperties.idPropertyName)));
+				entries.push({ anchor: anchor, element: element });
+			});
+		}
+
+		// empty collection
+		if (entries.length === 0)
+			return [ nullFragment(node) ];
+
+		// fragments for each element
+		const fragments = new Array();
+		for (let entry of entries)
+			for (let fragment of product(
+				[ single(node.colInd, entry.anchor) ],
+				this._elementFragments(node, entry.element)))
+				fragments.push(fragment);
+
+		return fragments;
+	}
+
+	/**
+	 * Get row fragments for the collection element columns.
+	 *
+	 * @param {Object} node The anchor column node.
+	 * @param {*} element The collection element.
+	 * @returns {Array.<Object.<number,*>>} The row fragments.
+	 */
+	_elementFragments(node, element) {
+
+		const propDesc = node.propDesc;
+		const children = node.children;
+
+		// polymorphic reference targets
+		if (propDesc.isPolymorphRef())
+			return this._polymorphicRefFragments(children, element);
+
+		// element value or fetched reference
+		if ((children.length === 1) && ((children[0].role === 'element') ||
+			(children[0].role === 'fetchedRef' &&
+				children[0].propDesc === propDesc))) {
+			const child = children[0];
+			if (propDesc.isRef())
+				return this._refFragments(child, element);
+			return [ single(child.colInd, rawValue(
+				element, extractorType(propDesc), propDesc.booleanEncoding)) ];
+		}
+
+		// nested object
+		return this._levelFragments(children, element);
+	}
+
+	/**
+	 * Get raw referred record id from a reference value.
+	 *
+	 * @param {string} refVal The reference value.
+	 * @returns {*} The raw id.
+	 */
+	_refId(refVal) {
+
+		const hashInd = refVal.indexOf('#');
+		const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+			refVal.substring(0, hashInd));
+
+		return rawValue(
+			refVal.substring(hashInd + 1), extractorType(
+				recordTypeDesc.getPropertyDesc(recordTypeDesc.idPropertyName)));
+	}
+}
+
+/**
+ * Get type of the value extractor used for a property's values.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @returns {string} The value extractor type.
+ */
+function extractorType(propDesc) {
+
+	return (propDesc.extractorType || propDesc.scalarValueType);
+}
+
+/**
+ * Convert record property value to the raw value as expected by the default
+ * value extractors.
+ *
+ * @private
+ * @param {*} val The value, may be <code>undefined</code> or
+ * <code>null</code>.
+ * @param {string} valueType The value extractor type.
+ * @param {?Object} [encoding] Normalized Boolean encoding of the property, if
+ * any.
+ * @returns {*} The raw value.
+ */
+function rawValue(val, valueType, encoding) {
+
+	if ((val === undefined) || (val === null))
+		return null;
+
+	switch (valueType) {
+	case 'number':
+		return Number(val);
+	case 'boolean':
+		val = ((typeof val) === 'string' ? (val === 'true') : val);
+		return (encoding ? booleanEncoding.encode(val, encoding) : val);
+	case 'datetime':
+		return new Date(val);
+	case 'binary':
+		return Buffer.from(val, 'hex');
+	case 'json':
+		return JSON.stringify(val);
+	default:
+		return val;
+	}
+}
+
+/**
+ * Create row fragment with a single column.
+ *
+ * @private
+ * @param {number} colInd Column index.
+ * @param {*} rawVal Column raw value.
+ * @returns {Object.<number,*>} The row fragment.
+ */
+function single(colInd, rawVal) {
+
+	const fragment = new Object();
+	fragment[colInd] = rawVal;
+
+	return fragment;
+}
+
+/**
+ * Create row fragment with nulls in a column and all of its nested columns.
+ *
+ * @private
+ * @param {Object} node The column node.
+ * @returns {Object.<number,*>} The row fragment.
+ */
+function nullFragment(node) {
+
+	const fragment = single(node.colInd, null);
+	for (let child of node.children)
+		Object.assign(fragment, nullFragment(child));
+
+	return fragment;
+}
+
+/**
+ * Combine every row fragment in one list with every row fragment in another.
+ *
+ * @private
+ * @param {Array.<Object.<number,*>>} fragments1 First list.
+ * @param {Array.<Object.<number,*>>} fragments2 Second list.
+ * @returns {Array.<Object.<number,*>>} The combined fragments.
+ */
+function product(fragments1, fragments2) {
+
+	const fragments = new Array();
+	for (let fragment1 of fragments1)
+		for (let fragment2 of fragments2)
+			fragments.push(Object.assign(new Object(), fragment1, fragment2));
+
+	return fragments;
+}
+
+/**
+ * Flatten records into result set rows for the markup, with which the
+ * specified parser is initialized. The collections in the records are accessed
+ * using the parser's object factory.
+ *
+ * @private
+ * @param {module:x2node-rsparser~ResultSetParser} parser Initialized parser.
+ * @param {Array.<Object>} records The top records.
+ * @param {Object.<string,Object>} [referredRecords] Referred records for the
+ * fetched references.
+ * @returns {Array.<Array.<*>>} The rows.
+ * @throws {module:x2node-common.X2UsageError} If a referred record for a
+ * fetched reference is missing.
+ */
+function flattenRecords(parser, records, referredRecords) {
+
+	const flattener = new RecordsFlattener(
+		parser.recordTypes, parser.columnInfos, referredRecords,
+		parser.objectFactory);
+
+	const rows = new Array();
+	for (let record of records)
+		for (let row of flattener.flattenRecord(record))
+			rows.push(row);
+
+	return rows;
+}
+
+// export the flattener function
+exports.flattenRecords = flattenRecords;
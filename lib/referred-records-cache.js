@@ -0,0 +1,127 @@
+'use strict';
+
+
+/**
+ * Cache of fetched referred records that can be shared by multiple parsers and
+ * survives parser resets. Once a referred record has been completely read from
+ * the result set by any of the parsers that use the cache, other parsers
+ * initialized with the same markup reuse the record instance and skip the
+ * result set rows that belong to it. This is useful, for example, when loading
+ * the results of the same query page by page.
+ *
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class ReferredRecordsCache {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created using module's
+	 * [createReferredRecordsCache()]{@link module:x2node-rsparser.createReferredRecordsCache}
+	 * function.
+	 */
+	constructor() {
+
+		this._records = new Object();
+		this._rowCounts = new Map();
+	}
+
+	/**
+	 * Get cached referred record.
+	 *
+	 * @param {string} refVal Reference value.
+	 * @returns {?Object} The record, or <code>null</code> if not cached.
+	 */
+	getRecord(refVal) {
+
+		return (this._records.hasOwnProperty(refVal) ?
+			this._records[refVal] : null);
+	}
+
+	/**
+	 * Add referred record to the cache.
+	 *
+	 * @private
+	 * @param {string} refVal Reference value.
+	 * @param {Object} rec The record.
+	 */
+	addRecord(refVal, rec) {
+
+		this._records[refVal] = rec;
+	}
+
+	/**
+	 * Get number of result set rows occupied by a completely read referred
+	 * record.
+	 *
+	 * @private
+	 * @param {string} markupKey Key identifying the markup.
+	 * @param {string} key Referred record and reference column key.
+	 * @returns {(number|undefined)} The number of rows, or
+	 * <code>undefined</code> if unknown.
+	 */
+	getRowCount(markupKey, key) {
+
+		const counts = this._rowCounts.get(markupKey);
+
+		return (counts && counts.get(key));
+	}
+
+	/**
+	 * Save number of result set rows occupied by a completely read referred
+	 * record.
+	 *
+	 * @private
+	 * @param {string} markupKey Key identifying the markup.
+	 * @param {string} key Referred record and reference column key.
+	 * @param {number} count The number of rows.
+	 */
+	setRowCount(markupKey, key, count) {
+
+		let counts = this._rowCounts.get(markupKey);
+		if (!counts)
+			this._rowCounts.set(markupKey, counts = new Map());
+
+		counts.set(key, count);
+	}
+
+	/**
+	 * Remove referred records from the cache, so that they are read from the
+	 * result set again next time they are encountered.
+	 *
+	 * @param {string} recordTypeName Referred record type name.
+	 * @param {*} [id] Referred record id. If not specified, all records of the
+	 * type are removed.
+	 */
+	invalidate(recordTypeName, id) {
+
+		const prefix =
+			recordTypeName + '#' + (id !== undefined ? String(id) : '');
+		const matches = (
+			id !== undefined ?
+				refVal => (refVal === prefix) :
+				refVal => refVal.startsWith(prefix));
+
+		for (let refVal of Object.keys(this._records))
+			if (matches(refVal))
+				delete this._records[refVal];
+
+		this._rowCounts.forEach(counts => {
+			for (let key of Array.from(counts.keys()))
+				if (matches(key.substring(0, key.lastIndexOf(':'))))
+					counts.delete(key);
+		});
+	}
+
+	/**
+	 * Remove all referred records from the cache.
+	 */
+	clear() {
+
+		this._records = new Object();
+		this._rowCounts.clear();
+	}
+}
+
+// export the class
+module.exports = ReferredRecordsCache;
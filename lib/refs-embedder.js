@@ -0,0 +1,428 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Valid embedding modes.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const EMBED_MODES = new Set([ 'replace', 'alongside' ]);
+
+/**
+ * Valid referred record copy modes.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const COPY_MODES = new Set([ 'shared', 'deep' ]);
+
+/**
+ * Options for embedding fetched referred records in the parsed records.
+ *
+ * @typedef {Object} EmbedReferredRecordsOptions
+ * @memberof module:x2node-rsparser
+ * @property {string} [mode="replace"] "replace" to replace the reference
+ * values with the referred records, or "alongside" to keep the reference
+ * values and put the referred records in a sibling property.
+ * @property {string} [copy="shared"] "shared" to embed the referred record
+ * instances from the parser's <code>referredRecords</code> (the embedding is
+ * done in the referred records as well, so circular references become circular
+ * object graphs), or "deep" to embed a deep copy of the referred record for
+ * each reference (a reference back to a record already being embedded on the
+ * same path is left not embedded). The copies are created using the parser's
+ * object factory. If the parser uses a shared referred records cache, the
+ * cached records are never modified: in the "shared" mode, one copy of each
+ * referred record is made and shared by all the parser's records instead.
+ * @property {Object.<string,(boolean|Object)>} [properties] Per fetched
+ * reference property overrides by property path (the same as used in the
+ * [buildMarkup()]{@link module:x2node-rsparser.buildMarkup} function, for
+ * example "orderRefs.items.productRef"). The value is <code>false</code> to
+ * not embed the property's referred records, or an object with optional
+ * <code>mode</code> and <code>name</code> properties, where <code>name</code>
+ * is the sibling property name for the "alongside" mode. By default, the
+ * sibling property name is the reference property name with "Ref" suffix
+ * removed, or "Refs" suffix replaced with "s", or, if neither suffix is
+ * present, with "Record" appended.
+ */
+
+/**
+ * Validate and normalize the referred records embedding options.
+ *
+ * @private
+ * @param {(boolean|module:x2node-rsparser~EmbedReferredRecordsOptions)}
+ * [options] The options, or <code>true</code> for the defaults.
+ * @returns {?Object} Normalized options, or <code>null</code> if no
+ * embedding.
+ * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+ */
+function normalizeOptions(options) {
+
+	if (!options)
+		return null;
+
+	const normalized = {
+		mode: ((options.mode) || 'replace'),
+		copy: ((options.copy) || 'shared'),
+		properties: (options.properties || new Object())
+	};
+	if (!EMBED_MODES.has(normalized.mode))
+		throw new common.X2UsageError(
+			'Invalid referred records embedding mode ' +
+				String(normalized.mode) + '.');
+	if (!COPY_MODES.has(normalized.copy))
+		throw new common.X2UsageError(
+			'Invalid referred records copy mode ' +
+				String(normalized.copy) + '.');
+	Object.keys(normalized.properties).forEach(propPath => {
+		const propOptions = normalized.properties[propPath];
+		if ((propOptions === false) || (propOptions === true))
+			return;
+		if (((typeof propOptions) !== 'object') || (propOptions === null) ||
+			((propOptions.mode !== undefined) &&
+				!EMBED_MODES.has(propOptions.mode)) ||
+			((propOptions.name !== undefined) &&
+				((typeof propOptions.name) !== 'string')))
+			throw new common.X2UsageError(
+				'Invalid referred records embedding options for property ' +
+					propPath + '.');
+	});
+
+	return normalized;
+}
+
+/**
+ * Get default name of the sibling property for the "alongside" embedding mode.
+ *
+ * @private
+ * @param {string} propName Reference property name.
+ * @returns {string} The sibling property name.
+ */
+function defaultEmbeddedPropertyName(propName) {
+
+	if (/.Refs$/.test(propName))
+		return propName.substring(0, propName.length - 4) + 's';
+	if (/.Ref$/.test(propName))
+		return propName.substring(0, propName.length - 3);
+
+	return propName + 'Record';
+}
+
+/**
+ * Make a deep copy of a simple property value, such as an object produced by
+ * the "json" value extractor.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The copy.
+ */
+function deepCopy(val) {
+
+	if (Array.isArray(val))
+		return val.map(deepCopy);
+
+	if ((val !== null) && ((typeof val) === 'object') &&
+		(Object.getPrototypeOf(val) === Object.prototype)) {
+		const copy = new Object();
+		for (let key of Object.keys(val))
+			copy[key] = deepCopy(val[key]);
+		return copy;
+	}
+
+	return val;
+}
+
+/**
+ * Embedder of the fetched referred records into the parsed records.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class ReferredRecordsEmbedder {
+
+	constructor(
+		recordTypes, referredRecords, options, objectFactory, copyShared) {
+
+		this._recordTypes = recordTypes;
+		this._referredRecords = referredRecords;
+		this._objectFactory = objectFactory;
+
+		this._mode = options.mode;
+		this._deepCopy = (options.copy === 'deep');
+		this._copyShared = copyShared;
+		this._properties = options.properties;
+
+		// referred records embedded into in the shared mode by reference
+		this._shared = new Map();
+	}
+
+	/**
+	 * Embed the referred records into a top record.
+	 *
+	 * @param {Object} record The top record.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Top
+	 * record type descriptor.
+	 */
+	embedInRecord(record, recordTypeDesc) {
+
+		this._embedInObject(record, recordTypeDesc, '', new Set());
+	}
+
+	/**
+	 * Embed the referred records into the properties of an object.
+	 *
+	 * @param {Object} obj The object.
+	 * @param {module:x2node-records~PropertiesContainer} container The object
+	 * properties container.
+	 * @param {string} basePath Path prefix for the object properties.
+	 * @param {Set.<string>} ancestors References of the referred records being
+	 * embedded on the current path in the deep copy mode.
+	 */
+	_embedInObject(obj, container, basePath, ancestors) {
+
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			const propPath = basePath + propName;
+
+			// subtype properties are in the same object
+			if (propDesc.isSubtype()) {
+				if (obj[container.typePropertyName] === propName)
+					this._embedInObject(
+						obj, propDesc.nestedProperties, propPath + '.',
+						ancestors);
+				continue;
+			}
+
+			const val = obj[propName];
+			if ((val === undefined) || (val === null))
+				continue;
+			if (propDesc.isRef() || propDesc.isPolymorphRef()) {
+				this._embedInProperty(obj, propDesc, propPath, ancestors);
+			} else if (propDesc.scalarValueType === 'object') {
+				for (let element of this._elements(val, propDesc))
+					if (element !== null)
+						this._embedInObject(
+							element, propDesc.nestedProperties, propPath + '.',
+							ancestors);
+			}
+		}
+	}
+
+	/**
+	 * Get elements of a nested object property value.
+	 *
+	 * @param {*} val The property value.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+	 * descriptor.
+	 * @returns {Array.<?Object>} The nested objects.
+	 */
+	_elements(val, propDesc) {
+
+		const factory = this._objectFactory;
+
+		if (propDesc.isArray())
+			return factory.getArrayElements(val, propDesc);
+
+		if (propDesc.isMap())
+			return factory.getMapKeys(val, propDesc).map(
+				key => factory.getMapElement(val, key, propDesc));
+
+		return [ val ];
+	}
+
+	/**
+	 * Embed the referred records for a reference property.
+	 *
+	 * @param {Object} obj The object that has the property.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc The reference
+	 * property descriptor.
+	 * @param {string} propPath The property path.
+	 * @param {Set.<string>} ancestors References of the referred records being
+	 * embedded on the current path.
+	 */
+	_embedInProperty(obj, propDesc, propPath, ancestors) {
+
+		// get the property settings
+		const propOptions = this._properties[propPath];
+		if (propOptions === false)
+			return;
+		const mode = ((propOptions && propOptions.mode) || this._mode);
+
+		// resolve the references
+		let numResolved = 0;
+		const resolve = refVal => {
+			const rec = this._resolve(
+				refVal, propPath, propDesc.isPolymorphRef(), ancestors);
+			if (rec === null)
+				return (mode === 'replace' ? refVal : null);
+			numResolved++;
+			return rec;
+		};
+		const factory = this._objectFactory;
+		const val = obj[propDesc.name];
+		let embedded;
+		if (propDesc.isArray()) {
+			embedded = factory.newArray(propDesc);
+			for (let refVal of factory.getArrayElements(val, propDesc))
+				embedded.push(resolve(refVal));
+		} else if (propDesc.isMap()) {
+			embedded = factory.newMap(propDesc);
+			for (let key of factory.getMapKeys(val, propDesc))
+				factory.setMapElement(
+					embedded, key,
+					resolve(factory.getMapElement(val, key, propDesc)),
+					propDesc);
+		} else {
+			embedded = resolve(val);
+		}
+
+		// set the embedded records
+		if (numResolved === 0)
+			return;
+		if (mode === 'replace')
+			obj[propDesc.name] = embedded;
+		else
+			obj[(propOptions && propOptions.name) ||
+				defaultEmbeddedPropertyName(propDesc.name)] = embedded;
+	}
+
+	/**
+	 * Get referred record to embed for a reference value.
+	 *
+	 * @param {*} refVal The reference value.
+	 * @param {string} propPath The reference property path.
+	 * @param {boolean} polymorph <code>true</code> if polymorphic reference
+	 * property, in which case the referred record type name is included in the
+	 * referred record property paths.
+	 * @param {Set.<string>} ancestors References of the referred records being
+	 * embedded on the current path.
+	 * @returns {?Object} The record to embed, or <code>null</code> if the
+	 * reference is not to be embedded.
+	 */
+	_resolve(refVal, propPath, polymorph, ancestors) {
+
+		// check if not a reference or not fetched
+		if ((typeof refVal) !== 'string')
+			return null;
+		const rec = this._referredRecords[refVal];
+		if (!rec)
+			return null;
+
+		// embed into the referred record itself
+		const recordTypeName = refVal.substring(0, refVal.indexOf('#'));
+		const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+			recordTypeName);
+		const basePath = propPath + '.' + (
+			polymorph ? recordTypeName + '.' : '');
+		if (this._deepCopy) {
+			if (ancestors.has(refVal))
+				return null;
+			const copy = this._copyRecord(rec, recordTypeDesc);
+			ancestors.add(refVal);
+			this._embedInObject(copy, recordTypeDesc, basePath, ancestors);
+			ancestors.delete(refVal);
+			return copy;
+		}
+		let shared = this._shared.get(refVal);
+		if (!shared) {
+			shared = (
+				this._copyShared ? this._copyRecord(rec, recordTypeDesc) : rec);
+			this._shared.set(refVal, shared);
+			this._embedInObject(shared, recordTypeDesc, basePath, ancestors);
+		}
+
+		return shared;
+	}
+
+	/**
+	 * Make a deep copy of a record using the object factory.
+	 *
+	 * @param {Object} rec The record.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @returns {Object} The copy.
+	 */
+	_copyRecord(rec, recordTypeDesc) {
+
+		const copy = this._objectFactory.newRecord(recordTypeDesc);
+		this._copyProperties(rec, copy, recordTypeDesc);
+
+		return copy;
+	}
+
+	/**
+	 * Copy the properties of an object to its copy.
+	 *
+	 * @param {Object} obj The object.
+	 * @param {Object} copy The copy.
+	 * @param {module:x2node-records~PropertiesContainer} container The object
+	 * properties container.
+	 */
+	_copyProperties(obj, copy, container) {
+
+		// type of a polymorphic object
+		const typePropName = container.typePropertyName;
+		if (typePropName && (obj[typePropName] !== undefined))
+			copy[typePropName] = obj[typePropName];
+
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+
+			// subtype properties are in the same object
+			if (propDesc.isSubtype()) {
+				if (obj[typePropName] === propName)
+					this._copyProperties(obj, copy, propDesc.nestedProperties);
+				continue;
+			}
+
+			const val = obj[propName];
+			if (val === undefined)
+				continue;
+			const factory = this._objectFactory;
+			let valCopy;
+			if ((val === null) || (!propDesc.isArray() && !propDesc.isMap())) {
+				valCopy = this._copyElement(val, propDesc);
+			} else if (propDesc.isArray()) {
+				valCopy = factory.newArray(propDesc);
+				for (let element of factory.getArrayElements(val, propDesc))
+					valCopy.push(this._copyElement(element, propDesc));
+			} else {
+				valCopy = factory.newMap(propDesc);
+				for (let key of factory.getMapKeys(val, propDesc))
+					factory.setMapElement(
+						valCopy, key, this._copyElement(
+							factory.getMapElement(val, key, propDesc),
+							propDesc),
+						propDesc);
+			}
+			copy[propName] = valCopy;
+		}
+	}
+
+	/**
+	 * Make a deep copy of a property value or a collection element.
+	 *
+	 * @param {*} val The value.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+	 * descriptor.
+	 * @returns {*} The copy.
+	 */
+	_copyElement(val, propDesc) {
+
+		if ((val === null) || (propDesc.scalarValueType !== 'object') ||
+			propDesc.isPolymorphRef())
+			return deepCopy(val);
+
+		const copy = this._objectFactory.newObject(propDesc);
+		this._copyProperties(val, copy, propDesc.nestedProperties);
+
+		return copy;
+	}
+}
+
+// export the embedder class and the options normalizer
+exports.ReferredRecordsEmbedder = ReferredRecordsEmbedder;
+exports.normalizeOptions = normalizeOptions;
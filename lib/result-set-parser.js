@@ -2,6 +2,13 @@
 
 const common = require('x2node-common');
 
+const refsEmbedder = require('./refs-embedder.js');
+const ReferredRecordsCache = require('./referred-records-cache.js');
+const driverFields = require('./driver-fields.js');
+const datetime = require('./datetime.js');
+const booleanEncoding = require('./boolean-encoding.js');
+const MarkupWalker = require('./markup-walker.js');
+
 
 /////////////////////////////////////////////////////////////////////////////////
 // Handlers
@@ -50,12 +57,6 @@ class AnchorColumnHandler extends ColumnHandler {
 
 	setNextAnchor(nextAnchor) {
 
-		if (this._nextAnchor >= 0)
-			throw new common.X2SyntaxError(
-				'More than one collection axis at column ' + nextAnchor +
-					': anchor at column ' + this._colInd + ' already has' +
-					' a child anchor at column ' + this._nextAnchor + '.');
-
 		this._nextAnchor = nextAnchor;
 	}
 
@@ -66,6 +67,34 @@ class AnchorColumnHandler extends ColumnHandler {
 	}
 }
 
+/**
+ * Explanation appended to the errors about non-contiguous rows.
+ *
+ * @private
+ * @constant {string}
+ */
+const NON_CONTIGUOUS_HINT =
+	'; the rows must be ordered by the top record id and then by every' +
+	' collection anchor column in the markup, which is most likely missing' +
+	' from the query\'s ORDER BY clause (alternatively, use the parser\'s' +
+	' unordered mode).';
+
+/**
+ * Get value for comparing anchor column raw values. Dates are compared by the
+ * time and buffers by the contents.
+ *
+ * @private
+ * @param {*} rawVal The anchor column raw value.
+ * @returns {*} The value to compare.
+ */
+function getAnchorKey(rawVal) {
+
+	if (rawVal instanceof Date)
+		return rawVal.getTime();
+
+	return (Buffer.isBuffer(rawVal) ? rawVal.toString('hex') : rawVal);
+}
+
 /**
  * Result set map key column handler.
  *
@@ -84,16 +113,18 @@ class MapKeyColumnHandler extends AnchorColumnHandler {
 			const keyRefTarget = propDesc.keyRefTarget;
 			const refRecordTypeDesc = parser.recordTypes.getRecordTypeDesc(
 				keyRefTarget);
-			const rawKeyValueExtractor = parser.valueExtractors[
-				refRecordTypeDesc.getPropertyDesc(
-					refRecordTypeDesc.idPropertyName).scalarValueType];
+			const rawKeyValueExtractor = (
+				propDesc.keyValueExtractor || parser.getValueExtractor(
+					refRecordTypeDesc.getPropertyDesc(
+						refRecordTypeDesc.idPropertyName)));
 			this._keyValueExtractor = function(rawVal, rowNum, colInd) {
 				const val = rawKeyValueExtractor(rawVal, rowNum, colInd);
 				return (val === null ? null : keyRefTarget + '#' + String(val));
 			};
 		} else {
-			const rawKeyValueExtractor = parser.valueExtractors[
-				propDesc.keyValueType];
+			const rawKeyValueExtractor = (
+				propDesc.keyValueExtractor ||
+					parser.getTypeValueExtractor(propDesc.keyValueType));
 			this._keyValueExtractor = function(rawVal, rowNum, colInd) {
 				const val = rawKeyValueExtractor(rawVal, rowNum, colInd);
 				return (val === null ? null : String(val));
@@ -160,14 +191,9 @@ class TopRecordIdHandler extends AnchorColumnHandler {
 	constructor(rootHandler, propDesc, parser) {
 		super(0, parser);
 
-		if (!propDesc.isId())
-			throw new common.X2SyntaxError(
-				'First column in the markup must refer to the record id' +
-					' property.');
-
 		this._rootHandler = rootHandler;
 		this._propName = propDesc.name;
-		this._valueExtractor = parser.valueExtractors[propDesc.scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 
 		this.reset();
 	}
@@ -177,13 +203,20 @@ class TopRecordIdHandler extends AnchorColumnHandler {
 		this._lastValue = undefined;
 	}
 
+	get lastValue() { return this._lastValue; }
+
+	getRecordId(rowNum, rawVal) {
+
+		return this._valueExtractor(rawVal, rowNum, 0);
+	}
+
 	execute(rowNum, rawVal) {
 
 		// get the record id value
-		const val = this._valueExtractor(rawVal, rowNum, 0);
+		const val = this.getRecordId(rowNum, rawVal);
 		if (val === null)
-			throw new common.X2DataError(
-				'Result set row ' + rowNum + ': top record id may not be null.');
+			throw this._parser.invalidData(
+				0, 'nullTopRecordId', 'top record id may not be null.');
 
 		// check if same record
 		if (val === this._lastValue) {
@@ -191,12 +224,20 @@ class TopRecordIdHandler extends AnchorColumnHandler {
 			// can't be same record if this is the only anchor
 			if (this._nextAnchor < 0)
 				throw this._parser.invalidData(
-					0, 'at least one anchor must change in each row.');
+					0, 'anchorsUnchanged',
+					'at least one anchor must change in each row.');
 
 			// skip to the next anchor column
 			return this._nextAnchor;
 		}
 
+		// check that the record's rows are contiguous
+		if (!this._parser.registerTopRecordId(val))
+			throw this._parser.invalidData(
+				0, 'duplicateRecord', 'top record #' + String(val) +
+					' appeared again after rows of other records' +
+					NON_CONTIGUOUS_HINT);
+
 		// update last value
 		this._lastValue = val;
 
@@ -229,7 +270,7 @@ class SingleValueHandler extends ColumnHandler {
 
 		this._parentHandler = parentHandler;
 		this._propName = propDesc.name;
-		this._valueExtractor = parser.valueExtractors[propDesc.scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 		this._noNulls = !propDesc.optional;
 	}
 
@@ -243,7 +284,8 @@ class SingleValueHandler extends ColumnHandler {
 			this._parentHandler.setObjectProperty(this._propName, val);
 		else if (this._noNulls)
 			throw this._parser.invalidData(
-				this._colInd, 'unexpected NULL for property ' + this._propName +
+				this._colInd, 'nullNotOptional',
+				'unexpected NULL for property ' + this._propName +
 					' that is not optional.');
 
 		// go to the next column
@@ -292,14 +334,15 @@ class SingleObjectHandler extends ColumnHandler {
 		if (this._nullChecker(rawVal, rowNum, this._colInd)) {
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 			this._anchorHandler.emptyChildAnchors(this._nextColInd);
 			return this._nextColInd;
 		}
 
 		// create new object
-		this._curObject = this._propDesc.nestedProperties.newRecord();
+		this._curObject = this._parser.objectFactory.newObject(this._propDesc);
 
 		// set the property in the parent object
 		this._parentHandler.setObjectProperty(this._propName, this._curObject);
@@ -365,7 +408,8 @@ class PolymorphicObjectTypeHandler extends ColumnHandler {
 			if (this._last &&
 				!this._parentHandler.isPropertySet(this._typePropName))
 				throw this._parser.invalidData(
-					this._colInd, 'no polymorphic object value.');
+					this._colInd, 'noPolymorphicValue',
+					'no polymorphic object value.');
 			this._anchorHandler.emptyChildAnchors(this._nextColInd);
 			return this._nextColInd;
 		}
@@ -375,7 +419,8 @@ class PolymorphicObjectTypeHandler extends ColumnHandler {
 			this._typePropName);
 		if ((prevType !== undefined) && (prevType !== this._type))
 			throw this._parser.invalidData(
-				this._colInd, 'more than one value for a polymorphic object.');
+				this._colInd, 'multiplePolymorphicValues',
+				'more than one value for a polymorphic object.');
 		this._parentHandler.setObjectProperty(this._typePropName, this._type);
 
 		// go to the next column
@@ -414,11 +459,7 @@ class SingleRefHandler extends ColumnHandler {
 		this._parentHandler = parentHandler;
 		this._propName = propDesc.name;
 		this._referredRecordTypeName = propDesc.refTarget;
-		const refRecordTypeDesc = parser.recordTypes.getRecordTypeDesc(
-			this._referredRecordTypeName);
-		this._valueExtractor = parser.valueExtractors[
-			refRecordTypeDesc.getPropertyDesc(refRecordTypeDesc.idPropertyName)
-				.scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 		this._noNulls = !propDesc.optional;
 
 		this._last = last;
@@ -441,12 +482,14 @@ class SingleRefHandler extends ColumnHandler {
 				this._referredRecordTypeName + '#' + referredRecId);
 		else if (this._noNulls)
 			throw this._parser.invalidData(
-				this._colInd, 'unexpected NULL for property ' + this._propName +
+				this._colInd, 'nullNotOptional',
+				'unexpected NULL for property ' + this._propName +
 					' that is not optional.');
 		else if (this._last && !this._parentHandler.isPropertySet(
 			this._propName))
 			throw this._parser.invalidData(
-				this._colInd, 'no value for polymorphic reference.');
+				this._colInd, 'noPolymorphicValue',
+				'no value for polymorphic reference.');
 
 		// go to the next column
 		return this._colInd + 1;
@@ -486,7 +529,8 @@ class SinglePolymorphicRefHandler extends ColumnHandler {
 		if (this._nullChecker(rawVal, rowNum, this._colInd)) {
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 			this._anchorHandler.emptyChildAnchors(this._nextColInd);
 			return this._nextColInd;
@@ -500,7 +544,8 @@ class SinglePolymorphicRefHandler extends ColumnHandler {
 
 		if (this._parentHandler.isPropertySet(this._propName))
 			throw this._parser.invalidData(
-				this._colInd, 'more than one value for a polymoprhic' +
+				this._colInd, 'multiplePolymorphicValues',
+				'more than one value for a polymoprhic' +
 					' reference.');
 
 		this._parentHandler.setObjectProperty(this._propName, val);
@@ -536,9 +581,7 @@ class SingleFetchedRefHandler extends ColumnHandler {
 		this._referredRecordTypeName = propDesc.refTarget;
 		this._referredRecordTypeDesc = parser.recordTypes.getRecordTypeDesc(
 			this._referredRecordTypeName);
-		this._valueExtractor = parser.valueExtractors[
-			this._referredRecordTypeDesc.getPropertyDesc(
-				this._referredRecordTypeDesc.idPropertyName).scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 		this._noNulls = !propDesc.optional;
 
 		this._nextColInd = undefined;
@@ -574,11 +617,13 @@ class SingleFetchedRefHandler extends ColumnHandler {
 		if (referredRecId === null) {
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 			if (this._last && !this._parentHandler.isPropertySet(this._propName))
 				throw this._parser.invalidData(
-					this._colInd, 'no value for polymorphic reference.');
+					this._colInd, 'noPolymorphicValue',
+					'no value for polymorphic reference.');
 			this._anchorHandler.emptyChildAnchors(this._nextColInd);
 			return this._nextColInd;
 		}
@@ -631,6 +676,7 @@ class ArraySingleRowAnchorHandler extends AnchorColumnHandler {
 		super(colInd, parser);
 
 		this._parentHandler = parentHandler;
+		this._propDesc = propDesc;
 		this._propName = propDesc.name;
 		this._nullChecker = parser.valueExtractors['isNull'];
 		this._noNulls = !propDesc.optional;
@@ -653,7 +699,8 @@ class ArraySingleRowAnchorHandler extends AnchorColumnHandler {
 		if (this._anchored) {
 			if (nullAnchor)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the anchor column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the anchor column.');
 			return this._colInd + 1;
 		}
 
@@ -664,13 +711,14 @@ class ArraySingleRowAnchorHandler extends AnchorColumnHandler {
 		if (nullAnchor) {
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 			return this._colInd + 2; // note: should always be last
 		}
 
 		// create new array and set it in the context object
-		this._curArray = new Array();
+		this._curArray = this._parser.objectFactory.newArray(this._propDesc);
 		this._parentHandler.setObjectProperty(this._propName, this._curArray);
 
 		// proceed to the value column
@@ -702,6 +750,7 @@ class MapSingleRowAnchorHandler extends MapKeyColumnHandler {
 		super(colInd, parser, propDesc);
 
 		this._parentHandler = parentHandler;
+		this._propDesc = propDesc;
 		this._propName = propDesc.name;
 		this._noNulls = !propDesc.optional;
 
@@ -725,17 +774,20 @@ class MapSingleRowAnchorHandler extends MapKeyColumnHandler {
 			// anchors must change
 			if (this._lastKeyVal === null)
 				throw this._parser.invalidData(
-					this._colInd, 'repeated NULL in the map key column.');
+					this._colInd, 'repeatedNull',
+					'repeated NULL in the map key column.');
 
 			// can't be in the middle of a map
 			if (this._lastKeyVal !== undefined)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the map key column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the map key column.');
 
 			// check if the property is not optional
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 
 			// update the last key value
@@ -748,11 +800,12 @@ class MapSingleRowAnchorHandler extends MapKeyColumnHandler {
 		// make sure we've got a new key
 		if ((this._lastKeyVal === null) || (keyVal === this._lastKeyVal))
 			throw this._parser.invalidData(
-				this._colInd, 'at least one anchor must change in each row.');
+				this._colInd, 'anchorsUnchanged',
+				'at least one anchor must change in each row.');
 
 		// create new map
 		if (this._lastKeyVal === undefined) {
-			this._curMap = new Object();
+			this._curMap = this._parser.objectFactory.newMap(this._propDesc);
 			this._parentHandler.setObjectProperty(this._propName, this._curMap);
 		}
 
@@ -771,7 +824,8 @@ class MapSingleRowAnchorHandler extends MapKeyColumnHandler {
 	addElement(val) {
 
 		if (val !== null)
-			this._curMap[this._lastKeyVal] = val;
+			this._parser.objectFactory.setMapElement(
+				this._curMap, this._lastKeyVal, val, this._propDesc);
 	}
 }
 
@@ -789,7 +843,7 @@ class SingleRowValueHandler extends ColumnHandler {
 		super(colInd, parser);
 
 		this._anchorHandler = anchorHandler;
-		this._valueExtractor = parser.valueExtractors[propDesc.scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 	}
 
 	execute(rowNum, rawVal) {
@@ -818,11 +872,7 @@ class SingleRowRefHandler extends ColumnHandler {
 
 		this._anchorHandler = anchorHandler;
 		this._referredRecordTypeName = propDesc.refTarget;
-		const refRecordTypeDesc = parser.recordTypes.getRecordTypeDesc(
-			this._referredRecordTypeName);
-		this._valueExtractor = parser.valueExtractors[
-			refRecordTypeDesc.getPropertyDesc(refRecordTypeDesc.idPropertyName)
-				.scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 	}
 
 	execute(rowNum, rawVal) {
@@ -863,6 +913,8 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 		this._nullChecker = parser.valueExtractors['isNull'];
 		this._noNulls = !propDesc.optional;
 
+		this._seenValues = new Set();
+
 		this.reset();
 	}
 
@@ -871,6 +923,8 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 		this._lastValue = undefined;
 		this._curArray = null;
 		this._curObject = null;
+
+		this._seenValues.clear();
 	}
 
 	execute(rowNum, rawVal) {
@@ -881,17 +935,20 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 			// check if the anchor changed
 			if (this._lastValue === null)
 				throw this._parser.invalidData(
-					this._colInd, 'repeated NULL in the anchor column.');
+					this._colInd, 'repeatedNull',
+					'repeated NULL in the anchor column.');
 
 			// check if null anchor in the middle of a collection
 			if (this._lastValue !== undefined)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the anchor column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the anchor column.');
 
 			// check if the property is not optional
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 
 			// expect reset from a parent anchor
@@ -904,15 +961,17 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 		// check if was null
 		if (this._lastValue === null)
 			throw this._parser.invalidData(
-				this._colInd, 'NULL expected in the anchor column.');
+				this._colInd, 'nullExpected',
+				'NULL expected in the anchor column.');
 
 		// check if anchor did not change
-		if (rawVal === this._lastValue) {
+		if (getAnchorKey(rawVal) === getAnchorKey(this._lastValue)) {
 
 			// at least one anchor must change
 			if (this._nextAnchor < 0)
 				throw this._parser.invalidData(
-					this._colInd, 'at least one anchor must change in each' +
+					this._colInd, 'anchorsUnchanged',
+					'at least one anchor must change in each' +
 						' row.');
 
 			// skip to the next anchor column
@@ -921,11 +980,24 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 
 		// create new array and set it in the context object if first element
 		if (this._lastValue === undefined) {
-			this._curArray = new Array();
+			this._curArray = this._parser.objectFactory.newArray(
+				this._propDesc);
 			this._parentHandler.setObjectProperty(
 				this._propName, this._curArray);
 		}
 
+		// check that the nested object element's rows are contiguous
+		if (this._isSimpleNestedObject) {
+			const anchorKey = getAnchorKey(rawVal);
+			if (this._seenValues.has(anchorKey))
+				throw this._parser.invalidData(
+					this._colInd, 'duplicateElement',
+					'element ' + describeValue(rawVal) + ' of property ' +
+						this._propName + ' appeared again after rows of' +
+						' other elements' + NON_CONTIGUOUS_HINT);
+			this._seenValues.add(anchorKey);
+		}
+
 		// update last value
 		this._lastValue = rawVal;
 
@@ -934,7 +1006,8 @@ class ObjectArrayAnchorHandler extends AnchorColumnHandler {
 
 		// create new object and add it to the array
 		if (this._isSimpleNestedObject) {
-			this._curObject = this._propDesc.nestedProperties.newRecord();
+			this._curObject = this._parser.objectFactory.newObject(
+				this._propDesc);
 			this._curArray.push(this._curObject);
 		}
 
@@ -984,6 +1057,7 @@ class PolymorphicRefArrayAnchorHandler extends AnchorColumnHandler {
 		super(colInd, parser);
 
 		this._parentHandler = parentHandler;
+		this._propDesc = propDesc;
 		this._propName = propDesc.name;
 		this._nullChecker = parser.valueExtractors['isNull'];
 		this._noNulls = !propDesc.optional;
@@ -1010,17 +1084,20 @@ class PolymorphicRefArrayAnchorHandler extends AnchorColumnHandler {
 			// check if the anchor changed
 			if (this._lastValue === null)
 				throw this._parser.invalidData(
-					this._colInd, 'repeated NULL in the anchor column.');
+					this._colInd, 'repeatedNull',
+					'repeated NULL in the anchor column.');
 
 			// check if null anchor in the middle of a collection
 			if (this._lastValue !== undefined)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the anchor column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the anchor column.');
 
 			// check if the property is not optional
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 
 			// expect reset from a parent anchor
@@ -1033,15 +1110,17 @@ class PolymorphicRefArrayAnchorHandler extends AnchorColumnHandler {
 		// check if was null
 		if (this._lastValue === null)
 			throw this._parser.invalidData(
-				this._colInd, 'NULL expected in the anchor column.');
+				this._colInd, 'nullExpected',
+				'NULL expected in the anchor column.');
 
 		// check if anchor did not change
-		if (rawVal === this._lastValue) {
+		if (getAnchorKey(rawVal) === getAnchorKey(this._lastValue)) {
 
 			// at least one anchor must change
 			if (this._nextAnchor < 0)
 				throw this._parser.invalidData(
-					this._colInd, 'at least one anchor must change in each' +
+					this._colInd, 'anchorsUnchanged',
+					'at least one anchor must change in each' +
 						' row.');
 
 			// skip to the next anchor column
@@ -1050,7 +1129,8 @@ class PolymorphicRefArrayAnchorHandler extends AnchorColumnHandler {
 
 		// create new array and set it in the context object if first element
 		if (this._lastValue === undefined) {
-			this._curArray = new Array();
+			this._curArray = this._parser.objectFactory.newArray(
+				this._propDesc);
 			this._parentHandler.setObjectProperty(
 				this._propName, this._curArray);
 		}
@@ -1077,7 +1157,8 @@ class PolymorphicRefArrayAnchorHandler extends AnchorColumnHandler {
 		// check if already has value
 		if (this._hasValue)
 			throw this._parser.invalidData(
-				this._colInd, 'more than one value for a polymoprhic' +
+				this._colInd, 'multiplePolymorphicValues',
+				'more than one value for a polymoprhic' +
 					' reference.');
 
 		// raise the flag for the rest of the row
@@ -1138,17 +1219,20 @@ class ObjectMapAnchorHandler extends MapKeyColumnHandler {
 			// check if the key changed
 			if (this._lastKeyVal === null)
 				throw this._parser.invalidData(
-					this._colInd, 'repeated NULL in the map key column.');
+					this._colInd, 'repeatedNull',
+					'repeated NULL in the map key column.');
 
 			// check if null key in the middle of the map
 			if (this._lastKeyVal !== undefined)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the map key column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the map key column.');
 
 			// check if the property is not optional
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 
 			// expect reset from an ancestor anchor
@@ -1161,7 +1245,8 @@ class ObjectMapAnchorHandler extends MapKeyColumnHandler {
 		// check if the key was null
 		if (this._lastKeyVal === null)
 			throw this._parser.invalidData(
-				this._colInd, 'NULL expected in the map key column.');
+				this._colInd, 'nullExpected',
+				'NULL expected in the map key column.');
 
 		// check if key did not change
 		if (keyVal === this._lastKeyVal) {
@@ -1169,16 +1254,27 @@ class ObjectMapAnchorHandler extends MapKeyColumnHandler {
 			// at least one anchor must change
 			if (this._nextAnchor < 0)
 				throw this._parser.invalidData(
-					this._colInd, 'at least one anchor must change in each' +
+					this._colInd, 'anchorsUnchanged',
+					'at least one anchor must change in each' +
 						' row.');
 
 			// skip to the next anchor column
 			return this._nextAnchor;
 		}
 
+		// check that the entry's rows are contiguous
+		if ((this._lastKeyVal !== undefined) &&
+			(this._parser.objectFactory.getMapElement(
+				this._curMap, keyVal, this._propDesc) !== undefined))
+			throw this._parser.invalidData(
+				this._colInd, 'duplicateElement',
+				'key ' + keyVal + ' of property ' + this._propName +
+					' appeared again after rows of other entries' +
+					NON_CONTIGUOUS_HINT);
+
 		// create new map and set it in the context object if first element
 		if (this._lastKeyVal === undefined) {
-			this._curMap = new Object();
+			this._curMap = this._parser.objectFactory.newMap(this._propDesc);
 			this._parentHandler.setObjectProperty(
 				this._propName, this._curMap);
 		}
@@ -1191,8 +1287,10 @@ class ObjectMapAnchorHandler extends MapKeyColumnHandler {
 
 		// create new object and add it to the map
 		if (this._isSimpleNestedObject) {
-			this._curObject = this._propDesc.nestedProperties.newRecord();
-			this._curMap[keyVal] = this._curObject;
+			this._curObject = this._parser.objectFactory.newObject(
+				this._propDesc);
+			this._parser.objectFactory.setMapElement(
+				this._curMap, keyVal, this._curObject, this._propDesc);
 		}
 
 		// go to the next column
@@ -1208,7 +1306,8 @@ class ObjectMapAnchorHandler extends MapKeyColumnHandler {
 
 	gotValue(rowNum, colInd, val) {
 
-		this._curMap[this._lastKeyVal] = val;
+		this._parser.objectFactory.setMapElement(
+			this._curMap, this._lastKeyVal, val, this._propDesc);
 	}
 
 	setObjectProperty(propName, val) {
@@ -1241,6 +1340,7 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 		super(colInd, parser, propDesc);
 
 		this._parentHandler = parentHandler;
+		this._propDesc = propDesc;
 		this._propName = propDesc.name;
 		this._noNulls = !propDesc.optional;
 
@@ -1269,17 +1369,20 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 			// check if the key changed
 			if (this._lastKeyVal === null)
 				throw this._parser.invalidData(
-					this._colInd, 'repeated NULL in the map key column.');
+					this._colInd, 'repeatedNull',
+					'repeated NULL in the map key column.');
 
 			// check if null key in the middle of the map
 			if (this._lastKeyVal !== undefined)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL in the map key column.');
+					this._colInd, 'unexpectedNull',
+					'unexpected NULL in the map key column.');
 
 			// check if the property is not optional
 			if (this._noNulls)
 				throw this._parser.invalidData(
-					this._colInd, 'unexpected NULL for property ' +
+					this._colInd, 'nullNotOptional',
+					'unexpected NULL for property ' +
 						this._propName + ' that is not optional.');
 
 			// expect reset from an ancestor anchor
@@ -1292,7 +1395,8 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 		// check if the key was null
 		if (this._lastKeyVal === null)
 			throw this._parser.invalidData(
-				this._colInd, 'NULL expected in the map key column.');
+				this._colInd, 'nullExpected',
+				'NULL expected in the map key column.');
 
 		// check if key did not change
 		if (keyVal === this._lastKeyVal) {
@@ -1300,7 +1404,8 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 			// at least one anchor must change
 			if (this._nextAnchor < 0)
 				throw this._parser.invalidData(
-					this._colInd, 'at least one anchor must change in each' +
+					this._colInd, 'anchorsUnchanged',
+					'at least one anchor must change in each' +
 						' row.');
 
 			// skip to the next anchor column
@@ -1309,7 +1414,7 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 
 		// create new map and set it in the context object if first element
 		if (this._lastKeyVal === undefined) {
-			this._curMap = new Object();
+			this._curMap = this._parser.objectFactory.newMap(this._propDesc);
 			this._parentHandler.setObjectProperty(
 				this._propName, this._curMap);
 		}
@@ -1336,19 +1441,22 @@ class PolymorphicRefMapAnchorHandler extends MapKeyColumnHandler {
 		// check if already has value
 		if (this._hasValue)
 			throw this._parser.invalidData(
-				this._colInd, 'more than one value for a polymoprhic' +
+				this._colInd, 'multiplePolymorphicValues',
+				'more than one value for a polymoprhic' +
 					' reference.');
 
 		// raise the flag for the rest of the row
 		this._hasValue = true;
 
 		// add the value to the context map
-		this._curMap[this._lastKeyVal] = val;
+		this._parser.objectFactory.setMapElement(
+			this._curMap, this._lastKeyVal, val, this._propDesc);
 	}
 
 	getObjectProperty() {
 
-		return this._curMap[this._lastKeyVal];
+		return this._parser.objectFactory.getMapElement(
+			this._curMap, this._lastKeyVal, this._propDesc);
 	}
 
 	isPropertySet() {
@@ -1376,9 +1484,7 @@ class CollectionFetchedRefHandler extends ColumnHandler {
 			this._referredRecordTypeName);
 		this._referredRecordIdPropName =
 			this._referredRecordTypeDesc.idPropertyName;
-		this._valueExtractor = parser.valueExtractors[
-			this._referredRecordTypeDesc.getPropertyDesc(
-				this._referredRecordIdPropName).scalarValueType];
+		this._valueExtractor = parser.getValueExtractor(propDesc);
 
 		this.reset();
 	}
@@ -1445,6 +1551,294 @@ class CollectionFetchedRefHandler extends ColumnHandler {
 // Parser
 /////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Get raw value of a column in a result set row.
+ *
+ * @private
+ * @param {(Array.<*>|Object.<string,*>)} row The result set row.
+ * @param {number} colInd Column index.
+ * @param {Array.<string>} markup The columns markup.
+ * @returns {*} The raw value.
+ */
+function getRawValue(row, colInd, markup) {
+
+	return (Array.isArray(row) ? row[colInd] : row[markup[colInd]]);
+}
+
+/**
+ * Recursively group result set rows by the values in the specified anchor
+ * columns, keeping the groups in the order of their first appearance.
+ *
+ * @private
+ * @param {Array.<(Array.<*>|Object.<string,*>)>} rows All result set rows.
+ * @param {Array.<number>} rowInds Indexes of the rows to group.
+ * @param {Array.<number>} anchorColInds Anchor column indexes.
+ * @param {number} level Index of the anchor column to group by.
+ * @param {Array.<string>} markup The columns markup.
+ * @param {Array.<number>} result Array, to which to add the grouped row
+ * indexes.
+ */
+function groupRows(rows, rowInds, anchorColInds, level, markup, result) {
+
+	if (level >= anchorColInds.length) {
+		for (let rowInd of rowInds)
+			result.push(rowInd);
+		return;
+	}
+
+	const colInd = anchorColInds[level];
+	const groups = new Map();
+	for (let rowInd of rowInds) {
+		const key = getAnchorKey(getRawValue(rows[rowInd], colInd, markup));
+		let group = groups.get(key);
+		if (!group)
+			groups.set(key, group = new Array());
+		group.push(rowInd);
+	}
+
+	groups.forEach(group => {
+		groupRows(rows, group, anchorColInds, level + 1, markup, result);
+	});
+}
+
+/**
+ * Valid policies for top records with bad rows in the lenient mode.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const BAD_RECORDS_POLICIES = new Set([ 'drop', 'keep' ]);
+
+/**
+ * Name of the BigInt type as reported by the <code>typeof</code> operator.
+ *
+ * @private
+ * @constant {string}
+ */
+const BIGINT_TYPEOF = 'bigint';
+
+/**
+ * Tell if the value is a BigInt.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if BigInt.
+ */
+function isBigInt(val) {
+
+	return ((typeof val) === BIGINT_TYPEOF);
+}
+
+/**
+ * Raw value checks used by the value extractors of each type in the strict
+ * mode. The checks are not called for <code>null</code> raw values. Note, that
+ * the "string" check rejects objects, such as <code>Date</code> and
+ * <code>Buffer</code> instances, that the non-strict extractor converts using
+ * <code>String()</code>.
+ *
+ * @private
+ * @constant {Object.<string,function>}
+ */
+const STRICT_RAW_VALUE_CHECKS = {
+	'string': val => (
+		((typeof val) === 'string') || ((typeof val) === 'number') ||
+			isBigInt(val)),
+	'number': val => (
+		((typeof val) === 'number') || isBigInt(val) ||
+			(((typeof val) === 'string') && (val.trim().length > 0))),
+	'boolean': val => (
+		((typeof val) === 'boolean') || (val === 0) || (val === 1)),
+	'datetime': val => (
+		(val instanceof Date) || ((typeof val) === 'string') ||
+			((typeof val) === 'number')),
+	'bigint': val => (
+		isBigInt(val) ||
+			(((typeof val) === 'number') && (Math.floor(val) === val)) ||
+			(((typeof val) === 'string') && /^-?\d+$/.test(val))),
+	'decimal': val => (
+		isBigInt(val) ||
+			(((typeof val) === 'number') && isFinite(val)) ||
+			(((typeof val) === 'string') && /^-?\d*\.?\d+$/.test(val))),
+	'binary': val => (
+		(val instanceof Uint8Array) || ((typeof val) === 'string')),
+	'date': val => ((val instanceof Date) || ((typeof val) === 'string')),
+	'time': val => ((val instanceof Date) || ((typeof val) === 'string'))
+};
+
+/**
+ * Describe a value for an error message.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {string} The description.
+ */
+function describeValue(val) {
+
+	if ((typeof val) === 'string')
+		return JSON.stringify(val);
+
+	if ((val !== null) && ((typeof val) === 'object'))
+		return (
+			Buffer.isBuffer(val) ? '<Buffer ' + val.toString('hex') + '>' :
+				Object.prototype.toString.call(val));
+
+	return String(val);
+}
+
+/**
+ * Hooks used by a parser to create the objects it produces. Any of the hooks
+ * can be omitted, in which case the default behavior is used.
+ *
+ * @typedef {Object} ObjectFactory
+ * @memberof module:x2node-rsparser
+ * @property {function} [newRecord] Function that takes record type descriptor
+ * and returns a new empty top or referred record. By default, the record type
+ * descriptor's <code>newRecord()</code> method is used.
+ * @property {function} [newObject] Function that takes nested object property
+ * descriptor and returns a new empty nested object. By default, the property's
+ * <code>nestedProperties.newRecord()</code> method is used.
+ * @property {function} [newArray] Function that takes array property
+ * descriptor and returns a new empty array. The returned object must have a
+ * <code>push()</code> method. By default, a new <code>Array</code>.
+ * @property {function} [newMap] Function that takes map property descriptor
+ * and returns a new empty map. By default, a new plain object.
+ * @property {function} [setMapElement] Function that takes a map, an entry key,
+ * the entry value and the map property descriptor and sets the map entry. By
+ * default, sets the object property.
+ * @property {function} [getMapElement] Function that takes a map, an entry key
+ * and the map property descriptor and returns the map entry value, or
+ * <code>undefined</code> if none. By default, returns own object property.
+ * @property {function} [getMapKeys] Function that takes a map and the map
+ * property descriptor and returns an array of the map entry keys. By default,
+ * returns the object's own property names. Used together with the
+ * <code>setMapElement</code> and <code>getMapElement</code> hooks, so the
+ * three must be either all specified or all omitted.
+ * @property {function} [getArrayElements] Function that takes an array and
+ * the array property descriptor and returns the array elements as an
+ * <code>Array</code>. By default, returns the array itself if it is an
+ * <code>Array</code>, or its elements if it is iterable.
+ * @property {function} [completeRecord] Function that takes a complete top
+ * record and its record type descriptor, called once the record is not going to
+ * be changed by the parser anymore, for example to freeze it. It is called at
+ * the same points as the referred records are embedded (and after that).
+ */
+
+/**
+ * Default object factory.
+ *
+ * @private
+ * @constant {module:x2node-rsparser~ObjectFactory}
+ */
+const DEFAULT_OBJECT_FACTORY = {
+	newRecord: recordTypeDesc => recordTypeDesc.newRecord(),
+	newObject: propDesc => propDesc.nestedProperties.newRecord(),
+	newArray: () => new Array(),
+	newMap: () => new Object(),
+	setMapElement: (map, key, val) => { map[key] = val; },
+	getMapElement: (map, key) => (
+		Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined),
+	getMapKeys: map => Object.keys(map),
+	getArrayElements: array => {
+		if (Array.isArray(array))
+			return array;
+		if (array && ((typeof array[Symbol.iterator]) === 'function'))
+			return Array.from(array);
+		throw new common.X2UsageError(
+			'Array is neither an Array nor an iterable, the objectFactory' +
+				' getArrayElements hook must be specified.');
+	},
+	completeRecord: null
+};
+
+/**
+ * Names of the object factory hooks that access maps, which must be specified
+ * together.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const MAP_ACCESS_HOOKS = [ 'setMapElement', 'getMapElement', 'getMapKeys' ];
+
+/**
+ * Build the parser's object factory from the user supplied hooks.
+ *
+ * @private
+ * @param {module:x2node-rsparser~ObjectFactory} [objectFactory] User supplied
+ * hooks. Missing ones fall back to the defaults.
+ * @returns {module:x2node-rsparser~ObjectFactory} The complete object factory.
+ * @throws {module:x2node-common.X2UsageError} If a hook is not a function or
+ * only some of the map access hooks are specified.
+ */
+function buildObjectFactory(objectFactory) {
+
+	if (!objectFactory)
+		return DEFAULT_OBJECT_FACTORY;
+
+	const factory = new Object();
+	for (let hookName of Object.keys(DEFAULT_OBJECT_FACTORY)) {
+		const hook = objectFactory[hookName];
+		if ((hook !== undefined) && ((typeof hook) !== 'function'))
+			throw new common.X2UsageError(
+				'Invalid objectFactory option: ' + hookName +
+					' must be a function.');
+		factory[hookName] = (hook || DEFAULT_OBJECT_FACTORY[hookName]);
+	}
+
+	const numMapAccessHooks = MAP_ACCESS_HOOKS.filter(
+		hookName => (objectFactory[hookName] !== undefined)).length;
+	if ((numMapAccessHooks > 0) &&
+		(numMapAccessHooks < MAP_ACCESS_HOOKS.length))
+		throw new common.X2UsageError(
+			'Invalid objectFactory option: ' + MAP_ACCESS_HOOKS.join(', ') +
+				' must be either all specified or all omitted.');
+
+	return factory;
+}
+
+/**
+ * Valid policies for records missing on either side of an id-keyed merge.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const MERGE_MISSING_POLICIES = new Set([ 'skip', 'add', 'error' ]);
+
+/**
+ * Valid policies for conflicting property values in merged records.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const MERGE_CONFLICT_POLICIES = new Set([ 'error', 'keepFirst', 'keepLast' ]);
+
+/**
+ * Tell if two merged property values, or collection elements, are equal.
+ * Arrays and plain objects are compared element by element.
+ *
+ * @private
+ * @param {*} val1 First value.
+ * @param {*} val2 Second value.
+ * @returns {boolean} <code>true</code> if the values are equal.
+ */
+function valuesEqual(val1, val2) {
+
+	if (val1 === val2)
+		return true;
+
+	if ((val1 === null) || (val2 === null) ||
+		((typeof val1) !== 'object') || ((typeof val2) !== 'object') ||
+		(Array.isArray(val1) !== Array.isArray(val2)))
+		return false;
+
+	const keys = Object.keys(val1);
+	if (keys.length !== Object.keys(val2).length)
+		return false;
+
+	return keys.every(key => (
+		Object.prototype.hasOwnProperty.call(val2, key) &&
+			valuesEqual(val1[key], val2[key])));
+}
+
 /**
  * Result set parser.
  *
@@ -1463,8 +1857,10 @@ class ResultSetParser {
 	 * library.
 	 * @param {Object.<string,function>} valueExtractors Value extractors.
 	 * @param {string} topRecordTypeName Name of the record type being parsed.
+	 * @param {module:x2node-rsparser~ParserOptions} [options] Parser options.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
 	 */
-	constructor(recordTypes, valueExtractors, topRecordTypeName) {
+	constructor(recordTypes, valueExtractors, topRecordTypeName, options) {
 
 		// store the basics
 		this._recordTypes = recordTypes;
@@ -1475,14 +1871,84 @@ class ResultSetParser {
 		// result accumulators
 		this._records = new Array();
 		this._referredRecords = new Object();
+		this._referredRecordsByType = new Object();
+
+		// top record handler for the streaming mode and the current top record
+		this._recordHandler = null;
+		this._lastRecord = null;
 
 		// uninitialized column handlers placeholder
 		this._columnHandlers = null;
 
 		// fetching references array
 		this._fetchingRefs = new Array();
+
+		// lenient mode settings and collected errors
+		this._lenient = !!(options && options.lenient);
+		this._badRecords = ((options && options.badRecords) || 'drop');
+		if (!BAD_RECORDS_POLICIES.has(this._badRecords))
+			throw new common.X2UsageError(
+				'Invalid badRecords option value ' + String(this._badRecords) +
+					'.');
+		this._errors = new Array();
+		this._quarantined = false;
+		this._quarantinedId = undefined;
+
+		// unordered mode settings and rows buffer
+		this._unordered = !!(options && options.unordered);
+		this._bufferedRows = new Array();
+		this._bufferProcessed = false;
+
+		// ids of the top records started so far (not kept when streaming)
+		this._seenTopRecordIds = new Set();
+
+		// referred records embedding settings and state
+		this._embedOptions = refsEmbedder.normalizeOptions(
+			options && options.embedReferredRecords);
+		this._embedder = null;
+
+		// object factory and number of completed top records
+		this._objectFactory = buildObjectFactory(
+			options && options.objectFactory);
+		this._numCompletedRecords = 0;
+
+		// strict raw values validation
+		this._strict = !!(options && options.strict);
+
+		// time zone for datetime values without one
+		this._timeZone = ((options && options.timeZone) || null);
+		if ((this._timeZone !== null) &&
+			!datetime.isValidTimeZone(this._timeZone))
+			throw new common.X2UsageError(
+				'Invalid timeZone option value ' + String(this._timeZone) + '.');
+
+		// encoding of Boolean values
+		this._booleanEncoding = null;
+		if (options && (options.booleanEncoding !== undefined)) {
+			this._booleanEncoding = booleanEncoding.normalize(
+				options.booleanEncoding);
+			if (this._booleanEncoding === null)
+				throw new common.X2UsageError(
+					'Invalid booleanEncoding option value.');
+		}
+
+		// shared referred records cache
+		this._cache = ((options && options.referredRecordsCache) || null);
+		if ((this._cache !== null) &&
+			!(this._cache instanceof ReferredRecordsCache))
+			throw new common.X2UsageError(
+				'Invalid referredRecordsCache option value.');
 	}
 
+	/**
+	 * Object factory used to create the parsed objects.
+	 *
+	 * @private
+	 * @member {module:x2node-rsparser~ObjectFactory}
+	 * @readonly
+	 */
+	get objectFactory() { return this._objectFactory; }
+
 	/**
 	 * Record types library.
 	 *
@@ -1500,6 +1966,126 @@ class ResultSetParser {
 	 */
 	get valueExtractors() { return this._valueExtractors; }
 
+	/**
+	 * Get value extractor for the specified property. The extractor specified
+	 * in the property definition takes precedence over the one for the
+	 * extractor type specified in the definition, which, in turn, takes
+	 * precedence over the one for the property value type. For a reference
+	 * property, the extractor for the referred record type id property is used.
+	 *
+	 * @private
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @returns {module:x2node-rsparser~valueExtractor} The value extractor.
+	 * @throws {module:x2node-common.X2UsageError} If no value extractor is
+	 * registered for the property's extractor type.
+	 */
+	getValueExtractor(propDesc) {
+
+		if (propDesc.valueExtractor)
+			return this._strictValueExtractor(propDesc.valueExtractor, null);
+
+		if (propDesc.extractorType) {
+			if ((typeof this._valueExtractors[propDesc.extractorType]) !==
+				'function')
+				throw new common.X2UsageError(
+					'No value extractor for type ' + propDesc.extractorType +
+						' used by property ' + propDesc.container.nestedPath +
+						propDesc.name + '.');
+			return this.getTypeValueExtractor(
+				propDesc.extractorType, propDesc);
+		}
+
+		if (propDesc.isRef()) {
+			const refTargetDesc = this._recordTypes.getRecordTypeDesc(
+				propDesc.refTarget);
+			return this.getValueExtractor(
+				refTargetDesc.getPropertyDesc(refTargetDesc.idPropertyName));
+		}
+
+		return this.getTypeValueExtractor(propDesc.scalarValueType, propDesc);
+	}
+
+	/**
+	 * Get value extractor for the specified value type. For the "datetime"
+	 * type, the returned extractor passes the time zone to the registered one,
+	 * and for the "boolean" type it passes the Boolean encoding. In the strict
+	 * mode, the returned extractor validates the raw values.
+	 *
+	 * @private
+	 * @param {string} type Value type.
+	 * @param {module:x2node-records~PropertyDescriptor} [propDesc] Descriptor
+	 * of the property, whose <code>timeZone</code> or
+	 * <code>booleanEncoding</code> overrides the parser's option.
+	 * @returns {module:x2node-rsparser~valueExtractor} The value extractor.
+	 */
+	getTypeValueExtractor(type, propDesc) {
+
+		const valueExtractor = this._valueExtractors[type];
+		let typeOption;
+		switch (type) {
+		case 'datetime':
+			typeOption = ((propDesc && propDesc.timeZone) || this._timeZone);
+			break;
+		case 'boolean':
+			typeOption = (
+				(propDesc && propDesc.booleanEncoding) || this._booleanEncoding);
+		}
+		if (!typeOption)
+			return this._strictValueExtractor(valueExtractor, type);
+
+		// the encoding validates boolean raw values itself
+		return this._strictValueExtractor(function(rawVal, rowNum, colInd) {
+			return valueExtractor(rawVal, rowNum, colInd, typeOption);
+		}, type, (type === 'boolean'));
+	}
+
+	/**
+	 * In the strict mode, wrap value extractor with a function that rejects
+	 * <code>undefined</code> raw values, raw values of types not suitable for
+	 * the extractor type and <code>NaN</code> and <code>undefined</code>
+	 * extracted values.
+	 *
+	 * @private
+	 * @param {module:x2node-rsparser~valueExtractor} valueExtractor The value
+	 * extractor.
+	 * @param {?string} type The extractor type, or <code>null</code> for a
+	 * custom property value extractor.
+	 * @param {boolean} [noRawTypeCheck] <code>true</code> to not check the raw
+	 * value type.
+	 * @returns {module:x2node-rsparser~valueExtractor} The value extractor to
+	 * use.
+	 */
+	_strictValueExtractor(valueExtractor, type, noRawTypeCheck) {
+
+		if (!this._strict)
+			return valueExtractor;
+
+		const checkRawValue = (
+			!noRawTypeCheck && STRICT_RAW_VALUE_CHECKS.hasOwnProperty(type) ?
+				STRICT_RAW_VALUE_CHECKS[type] : null);
+		const invalidValue = (what, val, rowNum, colInd) => {
+			const colInfo = this._columnInfos[colInd];
+			return new common.X2DataError(
+				'Invalid ' + what + ' ' + describeValue(val) +
+					(type !== null ? ' for ' + type : '') + ' property ' +
+					(colInfo ? colInfo.propertyPath : '?') + ' (row ' +
+					(rowNum + 1) + ', col ' + (colInd + 1) + ', markup ' +
+					this._markup[colInd] + ').');
+		};
+
+		return function(rawVal, rowNum, colInd) {
+			if ((rawVal === undefined) || ((rawVal !== null) &&
+				checkRawValue && !checkRawValue(rawVal)))
+				throw invalidValue('raw value', rawVal, rowNum, colInd);
+			const val = valueExtractor.apply(null, arguments);
+			if ((val === undefined) ||
+				(((typeof val) === 'number') && isNaN(val)))
+				throw invalidValue('extracted value', val, rowNum, colInd);
+			return val;
+		};
+	}
+
 	/**
 	 * Handlers created from the markup for each result set column.
 	 *
@@ -1510,42 +2096,188 @@ class ResultSetParser {
 	get columnHandlers() { return this._columnHandlers; }
 
 	/**
-	 * Get invalid data error for the current row.
+	 * Get invalid data error for the current row. The error has the
+	 * machine-readable details of the problem as its properties.
 	 *
 	 * @private
 	 * @param {number} colInd Column index.
+	 * @param {string} reason Reason code.
 	 * @param {string} msg Error description.
-	 * @returns {module:x2node-common.X2DataError} The error to throw.
+	 * @returns {module:x2node-rsparser~InvalidDataError} The error to throw.
 	 */
-	invalidData(colInd, msg) {
+	invalidData(colInd, reason, msg) {
+
+		const rowNum = this._curRowNum;
+		const topRecord = this._rowTopRecord(rowNum, colInd);
+		const topRecordId = (
+			topRecord ?
+				topRecord[this._topRecordTypeDesc.idPropertyName] : null);
 
-		return new common.X2DataError(
+		const err = new common.X2DataError(
 			'Bad result set row' + (
-				this._records.length > 0 ?
+				topRecord ?
 					' for ' + this._topRecordTypeDesc.name +
-					' #' + String(
-						this._records[this._records.length - 1][
-							this._topRecordTypeDesc.idPropertyName]) :
+					' #' + String(topRecordId) :
 					''
-			) + ' (row ' + this._rowsProcessed + ', col ' + (colInd + 1) +
+			) + ' (row ' + (rowNum + 1) + ', col ' + (colInd + 1) +
 				'): ' + msg);
+
+		return this._setErrorDetails(err, colInd, reason, topRecordId);
+	}
+
+	/**
+	 * Set the machine-readable problem details on an invalid data error for the
+	 * current row.
+	 *
+	 * @private
+	 * @param {module:x2node-common.X2DataError} err The error.
+	 * @param {number} colInd Column index.
+	 * @param {string} reason Reason code.
+	 * @param {*} topRecordId Id of the top record, to which the row belongs, or
+	 * <code>null</code>.
+	 * @returns {module:x2node-rsparser~InvalidDataError} The error.
+	 */
+	_setErrorDetails(err, colInd, reason, topRecordId) {
+
+		err.rowNum = this._curRowNum;
+		err.colInd = colInd;
+		err.markup = this._markup[colInd];
+		err.propertyPath = this._columnInfos[colInd].propertyPath;
+		err.topRecordId = topRecordId;
+		err.rawValue = this._rawValue(colInd);
+		err.reason = reason;
+
+		return err;
+	}
+
+	/**
+	 * Get raw value of a column in the current row.
+	 *
+	 * @private
+	 * @param {number} colInd Column index.
+	 * @returns {*} The raw value.
+	 */
+	_rawValue(colInd) {
+
+		return getRawValue(this._curRow, colInd, this._markup);
+	}
+
+	/**
+	 * Get value of a column in the current row to pass to the column handler,
+	 * which is the raw value preprocessed by the SQL type specific value
+	 * extractor, if any.
+	 *
+	 * @private
+	 * @param {number} colInd Column index.
+	 * @returns {*} The value.
+	 */
+	_columnValue(colInd) {
+
+		const rawVal = this._rawValue(colInd);
+		const preprocessor = (
+			this._columnPreprocessors && this._columnPreprocessors[colInd]);
+
+		return (
+			preprocessor ? preprocessor(rawVal, this._curRowNum, colInd) :
+				rawVal);
+	}
+
+	/**
+	 * Get top record, to which the current row belongs. If the problem is in the
+	 * top record id column, the row belongs to the current top record only if
+	 * the id in it is the current top record id.
+	 *
+	 * @private
+	 * @param {number} rowNum Current row number.
+	 * @param {number} colInd Index of the column being processed.
+	 * @returns {?Object} The top record, or <code>null</code> if none.
+	 */
+	_rowTopRecord(rowNum, colInd) {
+
+		if (colInd > 0)
+			return this._lastRecord;
+
+		const topIdHandler = this._columnHandlers[0];
+		try {
+			const id = topIdHandler.getRecordId(rowNum, this._columnValue(0));
+			return ((id !== null) && (id === topIdHandler.lastValue) ?
+				this._lastRecord : null);
+		} catch (err) {
+			return null;
+		}
 	}
 
 	/**
-	 * Add new top record to the result.
+	 * Add new top record to the result. In the streaming mode, the previous top
+	 * record, which is complete at this point, is passed to the record handler
+	 * instead.
 	 *
 	 * @private
 	 * @returns {Object} The new record instance.
 	 */
 	addNewRecord() {
 
-		const rec = this._topRecordTypeDesc.newRecord();
+		const rec = this._objectFactory.newRecord(this._topRecordTypeDesc);
+
+		if (this._recordHandler) {
+			if (this._lastRecord) {
+				this._completeRecord(this._lastRecord);
+				this._recordHandler(this._lastRecord);
+			}
+		} else {
+			this._records.push(rec);
+		}
 
-		this._records.push(rec);
+		this._lastRecord = rec;
 
 		return rec;
 	}
 
+	/**
+	 * Finish a complete top record: embed fetched referred records into it, if
+	 * configured to do so, and pass it to the object factory's completion hook,
+	 * if any.
+	 *
+	 * @private
+	 * @param {Object} record The top record.
+	 */
+	_completeRecord(record) {
+
+		if (this._embedOptions) {
+			if (!this._embedder)
+				this._embedder = new refsEmbedder.ReferredRecordsEmbedder(
+					this._recordTypes, this._referredRecords,
+					this._embedOptions, this._objectFactory,
+					(this._cache !== null));
+			this._embedder.embedInRecord(record, this._topRecordTypeDesc);
+		}
+
+		if (this._objectFactory.completeRecord)
+			this._objectFactory.completeRecord(record, this._topRecordTypeDesc);
+	}
+
+	/**
+	 * Register id of a new top record. In the streaming mode the ids are not
+	 * kept, so that the memory use does not grow with the number of records.
+	 *
+	 * @private
+	 * @param {*} id The top record id.
+	 * @returns {boolean} <code>false</code> if a top record with the same id
+	 * has already been started.
+	 */
+	registerTopRecordId(id) {
+
+		if (this._recordHandler)
+			return true;
+
+		if (this._seenTopRecordIds.has(id))
+			return false;
+
+		this._seenTopRecordIds.add(id);
+
+		return true;
+	}
+
 	/**
 	 * Reset every handler in the columns following (and excluding) the specified
 	 * one. Called from an anchor handler when the anchor value changes.
@@ -1577,7 +2309,15 @@ class ResultSetParser {
 	beginReferredRecord(recordTypeDesc, refVal, colInd, noSkip) {
 
 		const key = refVal + ':' + colInd;
-		const r = this._referredRecordsNRows.get(key);
+		let r = this._referredRecordsNRows.get(key);
+
+		// check if already completely read by a parser sharing the cache
+		if ((r === undefined) && this._cache) {
+			r = this._cache.getRowCount(this._cacheMarkupKey, key);
+			if ((r !== undefined) && !this._referredRecords[refVal])
+				this._addReferredRecord(
+					recordTypeDesc.name, refVal, this._cache.getRecord(refVal));
+		}
 
 		if (r !== undefined) {
 			this._skipNextNRows = r - 1;
@@ -1585,18 +2325,71 @@ class ResultSetParser {
 		}
 
 		let rec = this._referredRecords[refVal];
-		if (!rec) {
-			rec = recordTypeDesc.newRecord();
-			this._referredRecords[refVal] = rec;
+		if (!rec && this._cache) {
+			rec = this._cache.getRecord(refVal);
+			if (rec)
+				this._addReferredRecord(recordTypeDesc.name, refVal, rec);
+		}
+		const created = !rec;
+		if (created) {
+			rec = this._objectFactory.newRecord(recordTypeDesc);
+			this._addReferredRecord(recordTypeDesc.name, refVal, rec);
+			if (this._cache)
+				this._cache.addRecord(refVal, rec);
 		}
 
 		this._fetchingRefs[colInd] = refVal;
-		if (!noSkip)
+		if (!noSkip) {
 			this._referredRecordsNRows.set(key, this._rowsProcessed);
+			this._openReferredRecords.set(key, {
+				refVal: refVal,
+				created: created
+			});
+		}
 
 		return rec;
 	}
 
+	/**
+	 * Add referred record to the referred records collections.
+	 *
+	 * @private
+	 * @param {string} recordTypeName Referred record type name.
+	 * @param {string} refVal Reference value.
+	 * @param {Object} rec The referred record.
+	 */
+	_addReferredRecord(recordTypeName, refVal, rec) {
+
+		this._referredRecords[refVal] = rec;
+
+		let typeRecords = this._referredRecordsByType[recordTypeName];
+		if (!typeRecords)
+			this._referredRecordsByType[recordTypeName] =
+				typeRecords = new Object();
+		typeRecords[refVal.substring(recordTypeName.length + 1)] = rec;
+	}
+
+	/**
+	 * Remove referred record from the referred records collections.
+	 *
+	 * @private
+	 * @param {string} refVal Reference value.
+	 */
+	_removeReferredRecord(refVal) {
+
+		delete this._referredRecords[refVal];
+
+		const hashInd = refVal.indexOf('#');
+		const typeRecords =
+			this._referredRecordsByType[refVal.substring(0, hashInd)];
+		if (typeRecords)
+			delete typeRecords[refVal.substring(hashInd + 1)];
+
+		if (this._cache)
+			this._cache.invalidate(
+				refVal.substring(0, hashInd), refVal.substring(hashInd + 1));
+	}
+
 	/**
 	 * Indicate the last row of a fetched referred record.
 	 *
@@ -1610,8 +2403,13 @@ class ResultSetParser {
 			return;
 
 		const key = this._fetchingRefs[colInd] + ':' + colInd;
-		this._referredRecordsNRows.set(
-			key, this._rowsProcessed - this._referredRecordsNRows.get(key));
+		const nRows = this._rowsProcessed - this._referredRecordsNRows.get(key);
+		this._referredRecordsNRows.set(key, nRows);
+		this._openReferredRecords.delete(key);
+
+		// share the completely read record
+		if (this._cache)
+			this._cache.setRowCount(this._cacheMarkupKey, key, nRows);
 	}
 
 	/**
@@ -1643,419 +2441,637 @@ class ResultSetParser {
 		this._markup = markup;
 		this._numColumns = markup.length;
 
-		// create array for column handlers
+		// create arrays for column handlers and their descriptions
 		this._columnHandlers = new Array();
-
-		// parse the markup
-		const lastColInd = this._parseObjectMarkup(
-			0, null, 0, new RootHandler(this), this._topRecordTypeDesc);
-		if (lastColInd !== this._numColumns)
-			throw new common.X2SyntaxError(
-				'Markup column ' + lastColInd + ': unexpected column prefix.');
+		this._columnInfos = new Array();
+
+		// parse the markup, failing on the first problem
+		const lastSubtypeHandlers = new Map();
+		new MarkupWalker(this._recordTypes, markup, {
+			column: (
+				colInd, kind, propDesc, propPath, fetchRef, parentHandler,
+				lastAnchorColInd) => {
+				const handler = this._createColumnHandler(
+					colInd, kind, propDesc, propPath, fetchRef, parentHandler,
+					lastAnchorColInd);
+				if ((kind === 'property') && propDesc.isSubtype() &&
+					!propDesc.isPolymorphRef()) {
+					const prevSubtypeHandler = lastSubtypeHandlers.get(
+						parentHandler);
+					if (prevSubtypeHandler)
+						prevSubtypeHandler.makeNotLast();
+					lastSubtypeHandlers.set(parentHandler, handler);
+				}
+				return handler;
+			},
+			objectComplete: (handler, nextColInd) => {
+				handler.setNextColumnIndex(nextColInd);
+			},
+			problem: (colInd, expectedPrefix, message) => {
+				throw new common.X2SyntaxError(message);
+			}
+		}).walk(this._topRecordTypeDesc, new RootHandler(this));
 
 		// initialize row skipper
 		this._referredRecordsNRows = new Map();
+		this._openReferredRecords = new Map();
 		this._skipNextNRows = 0;
 
+		// row counts in the shared cache are specific to the markup
+		this._cacheMarkupKey = JSON.stringify(
+			[ this._topRecordTypeDesc.name ].concat(markup));
+
 		// initialize row counter
 		this._rowsProcessed = 0;
+
+		// no raw value preprocessors unless initialized from driver fields
+		this._columnPreprocessors = null;
 	}
 
 	/**
-	 * Recursively parse object markup.
+	 * Initialize parser with database driver field descriptors. The markup is
+	 * taken from the field names. In addition, if there is a value extractor
+	 * registered for a field's SQL type under the "sql:" prefixed type name
+	 * (for example "sql:bit" or "sql:int8"), it is used to preprocess the raw
+	 * values in the field's column before they are passed to the column's
+	 * regular value extractor. Supported are the mysql and mysql2
+	 * <code>fields</code>, pg <code>result.fields</code> and better-sqlite3
+	 * statement <code>columns()</code>.
 	 *
-	 * @private
-	 * @param {number} startColInd First object property column index.
-	 * @param {string} parentPrefix Parent markup prefix.
-	 * @param {number} lastAnchorColInd Index of the last anchor column.
-	 * @param {module:x2node-rsparser~ColumnHandler} parentHandler Context object
-	 * handler.
-	 * @param {module:x2node-records~PropertiesContainer} container Context
-	 * object properties container.
-	 * @returns {number} Index of the column next after the object markup.
+	 * @param {Array.<Object>} fields The driver field descriptors, one for each
+	 * column in the result set.
+	 * @throws {module:x2node-common.X2UsageError} If the parser has already been
+	 * initialized or the field descriptors are invalid.
+	 * @throws {module:x2node-common.X2SyntaxError} If the markup taken from the
+	 * field names is invalid.
 	 */
-	_parseObjectMarkup(
-		startColInd, parentPrefix, lastAnchorColInd, parentHandler, container) {
-
-		// determine object prefix
-		const levelPrefix = this._getLevelPrefix(startColInd, parentPrefix);
-		if (levelPrefix === null)
-			return startColInd;
-
-		// parse and process column definitions
-		let colInd = startColInd;
-		let levelExhausted = false;
-		let prevSubtypeHandler;
-		do {
-
-			// can't stay on this level once exhausted
-			if (levelExhausted)
-				throw new common.X2SyntaxError(
-					'Markup column ' + colInd +
-						': cannot have any more properties at this nesting' +
-						' level.');
-
-			// parse column definition
-			const colDef = this._markup[colInd];
-			let prefix, propName, fetchRef;
-			const sepInd = colDef.lastIndexOf('$');
-			if (sepInd >= 0) {
-				prefix = colDef.substring(0, sepInd);
-				propName = colDef.substring(sepInd + 1);
-			} else {
-				prefix = '';
-				propName = colDef;
-			}
-			fetchRef = propName.endsWith(':');
-			if (fetchRef)
-				propName = propName.substring(0, propName.length - 1);
-
-			// check if end of the object properties
-			if (prefix !== levelPrefix)
-				return colInd;
+	initFromFields(fields) {
 
-			// check that the property exists
-			if (!container.hasProperty(propName))
-				throw new common.X2SyntaxError(
-					'Markup column ' + colInd + ': record type ' +
-						container.recordTypeName + ' does not have property ' +
-						container.nestedPath + propName + '.');
-
-			// get property descriptor
-			const propDesc = container.getPropertyDesc(propName);
-
-			// only scalar non-polymorphic reference property can be fetched
-			if (fetchRef && !propDesc.isRef())
-				throw new common.X2SyntaxError(
-					'Markup column ' + colInd + ': record type ' +
-						container.recordTypeName + ' property ' +
-						container.nestedPath + propName +
-						' is not a reference and cannot be fetched.');
-
-			// exhaust level once non-scalar is seen
-			if (!propDesc.isScalar())
-				levelExhausted = true;
-
-			// create top record id handler for the first column
-			if (colInd === 0) {
-				this._columnHandlers[colInd] = new TopRecordIdHandler(
-					parentHandler, propDesc, this);
-				colInd++;
-				continue;
-			}
+		const columns = driverFields.parseFields(fields);
 
-			// create handler depending on the property type
-			let handler, anchorHandler;
-			switch (
-				(propDesc.isScalar() ? 'scalar' : (
-					propDesc.isArray() ? 'array' : 'map')) +
-					':' + propDesc.scalarValueType
-			) {
-			case 'scalar:string':
-			case 'scalar:number':
-			case 'scalar:boolean':
-			case 'scalar:datetime':
-
-				this._columnHandlers[colInd] = new SingleValueHandler(
-					colInd, parentHandler, propDesc, this);
-				colInd++;
+		this.init(columns.map(column => column.name));
 
-				break;
-
-			case 'scalar:object':
-
-				if (propDesc.isPolymorphRef()) {
-					handler = new SinglePolymorphicRefHandler(
-						colInd, this._columnHandlers[lastAnchorColInd],
-						parentHandler, propDesc, this);
-				} else if (propDesc.isSubtype()) {
-					handler = new PolymorphicObjectTypeHandler(
-						colInd, this._columnHandlers[lastAnchorColInd],
-						parentHandler, propDesc, this);
-					if (prevSubtypeHandler)
-						prevSubtypeHandler.makeNotLast();
-					prevSubtypeHandler = handler;
-				} else {
-					handler = new SingleObjectHandler(
-						colInd, this._columnHandlers[lastAnchorColInd],
-						parentHandler, propDesc, this);
-				}
-				this._columnHandlers[colInd] = handler;
-
-				if (++colInd < this._numColumns)
-					colInd = this._parseObjectMarkup(
-						colInd, levelPrefix, lastAnchorColInd, handler,
-						propDesc.nestedProperties);
-
-				handler.setNextColumnIndex(colInd);
-
-				break;
-
-			case 'scalar:ref':
-
-				if (fetchRef) {
-					handler = new SingleFetchedRefHandler(
-						colInd, this._columnHandlers[lastAnchorColInd],
-						parentHandler, propDesc, this, propDesc.isSubtype());
-					this._columnHandlers[colInd] = handler;
-					if (++colInd < this._numColumns)
-						colInd = this._parseObjectMarkup(
-							colInd, levelPrefix, lastAnchorColInd, handler,
-							this._recordTypes.getRecordTypeDesc(
-								propDesc.refTarget));
-					handler.setNextColumnIndex(colInd);
-				} else {
-					handler = new SingleRefHandler(
-						colInd, parentHandler, propDesc, this,
-						propDesc.isSubtype());
-					this._columnHandlers[colInd] = handler;
-					colInd++;
-				}
-
-				if (propDesc.isSubtype()) {
-					if (prevSubtypeHandler)
-						prevSubtypeHandler.makeNotLast();
-					prevSubtypeHandler = handler;
-				}
-
-				break;
+		const preprocessors = columns.map(column => (
+			(column.sqlType !== null) &&
+				this._valueExtractors['sql:' + column.sqlType]) || null);
+		if (preprocessors.some(preprocessor => (preprocessor !== null)))
+			this._columnPreprocessors = preprocessors;
+	}
 
-			case 'array:string':
-			case 'array:number':
-			case 'array:boolean':
-			case 'array:datetime':
+	/**
+	 * Descriptions of the markup columns, including the descriptors of the
+	 * properties, to which the columns belong, and the parent column indexes.
+	 *
+	 * @private
+	 * @member {Array.<Object>}
+	 * @readonly
+	 */
+	get columnInfos() { return this._columnInfos; }
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+	/**
+	 * Describe how the parser interprets the markup it was initialized with.
+	 * Useful for debugging markup generated by query builders.
+	 *
+	 * @returns {module:x2node-rsparser~MarkupDescription} The markup
+	 * description.
+	 * @throws {module:x2node-common.X2UsageError} If the parser has not been
+	 * initialized.
+	 */
+	describe() {
+
+		// check if initialized
+		if (!this._columnHandlers)
+			throw new common.X2UsageError('The parser has not been initialized.');
+
+		// build the column nodes tree
+		const nodes = this._columnInfos.map(info => ({
+			colInd: info.colInd,
+			markup: info.markup,
+			propertyPath: info.propertyPath,
+			role: info.role,
+			handler: info.handler,
+			anchorChain: info.anchorChain.slice(),
+			children: new Array()
+		}));
+		const columns = new Array();
+		this._columnInfos.forEach((info, colInd) => {
+			if (info.parentColInd < 0)
+				columns.push(nodes[colInd]);
+			else
+				nodes[info.parentColInd].children.push(nodes[colInd]);
+		});
 
-				anchorHandler = new ArraySingleRowAnchorHandler(
-					colInd, parentHandler, propDesc, this);
-				this._columnHandlers[colInd] = anchorHandler;
+		// return the description
+		return {
+			recordTypeName: this._topRecordTypeDesc.name,
+			collectionAxis: this._getCollectionAxis(),
+			columns: columns
+		};
+	}
 
-				if ((++colInd < this._numColumns)
-					&& (this._getLevelPrefix(colInd, prefix) !== null)) {
-					this._columnHandlers[colInd] = new SingleRowValueHandler(
-						colInd, anchorHandler, propDesc, this);
-					colInd++;
-				}
+	/**
+	 * Get anchor column indexes on the collection axis.
+	 *
+	 * @private
+	 * @returns {Array.<number>} The anchor column indexes, not including the top
+	 * record id column.
+	 */
+	_getCollectionAxis() {
 
-				break;
+		const collectionAxis = new Array();
+		for (let anchorColInd = this._columnHandlers[0]._nextAnchor;
+			anchorColInd > 0;
+			anchorColInd = this._columnHandlers[anchorColInd]._nextAnchor)
+			collectionAxis.push(anchorColInd);
 
-			case 'array:object':
+		return collectionAxis;
+	}
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+	/**
+	 * Get human-readable dump of the markup interpretation, one line per
+	 * column, indented by the nesting level. See
+	 * [describe()]{@link module:x2node-rsparser~ResultSetParser#describe}.
+	 *
+	 * @returns {string} The dump.
+	 * @throws {module:x2node-common.X2UsageError} If the parser has not been
+	 * initialized.
+	 */
+	explain() {
+
+		const description = this.describe();
+
+		const lines = new Array();
+		lines.push(
+			'record type ' + description.recordTypeName + ', collection axis: ' +
+				(description.collectionAxis.length > 0 ?
+					description.collectionAxis.join(' -> ') : 'none'));
+		const dumpNodes = (nodes, indent) => {
+			for (let node of nodes) {
+				lines.push(
+					indent + node.colInd + ': ' + node.markup + ' -> ' +
+						node.propertyPath + ' [' + node.role + ', ' +
+						node.handler + ', anchors ' +
+						node.anchorChain.join('/') + ']');
+				dumpNodes(node.children, indent + '  ');
+			}
+		};
+		dumpNodes(description.columns, '');
 
-				if (propDesc.isPolymorphRef()) {
-					anchorHandler = new PolymorphicRefArrayAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-				} else {
-					anchorHandler = new ObjectArrayAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-				}
-				this._columnHandlers[colInd] = anchorHandler;
+		return lines.join('\n');
+	}
 
-				if (++colInd < this._numColumns)
-					colInd = this._parseObjectMarkup(
-						colInd, levelPrefix, colInd - 1, anchorHandler,
-						propDesc.nestedProperties);
+	/**
+	 * Create handler for a markup column reported by the markup walker.
+	 *
+	 * @private
+	 * @param {number} colInd Column index.
+	 * @param {string} kind Column kind: "topRecordId", "property" or
+	 * "element".
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+	 * the property, to which the column belongs.
+	 * @param {string} propPath Property path.
+	 * @param {boolean} fetchRef <code>true</code> if fetched reference.
+	 * @param {module:x2node-rsparser~ColumnHandler} parentHandler Context
+	 * object handler, or the anchor handler for an element column.
+	 * @param {number} lastAnchorColInd Index of the last anchor column.
+	 * @returns {module:x2node-rsparser~ColumnHandler} The column handler.
+	 */
+	_createColumnHandler(
+		colInd, kind, propDesc, propPath, fetchRef, parentHandler,
+		lastAnchorColInd) {
+
+		let handler, role;
+
+		// top record id column
+		if (kind === 'topRecordId') {
+			handler = new TopRecordIdHandler(parentHandler, propDesc, this);
+			this._setColumnHandler(
+				colInd, handler, 'id', propDesc, propPath, parentHandler,
+				lastAnchorColInd);
+			return handler;
+		}
 
-				break;
+		// collection element column
+		if (kind === 'element') {
+			if (fetchRef) {
+				handler = new CollectionFetchedRefHandler(
+					colInd, parentHandler, propDesc, this);
+				role = 'fetchedRef';
+			} else {
+				handler = (
+					propDesc.isRef() ?
+						new SingleRowRefHandler(
+							colInd, parentHandler, propDesc, this) :
+						new SingleRowValueHandler(
+							colInd, parentHandler, propDesc, this));
+				role = 'element';
+			}
+			this._setColumnHandler(
+				colInd, handler, role, propDesc, propPath, parentHandler,
+				lastAnchorColInd);
+			return handler;
+		}
 
-			case 'array:ref':
+		// link collection anchor to the last anchor
+		if (!propDesc.isScalar())
+			this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+		// create handler depending on the property type
+		switch (
+			(propDesc.isScalar() ? 'scalar' : (
+				propDesc.isArray() ? 'array' : 'map')) +
+				':' + propDesc.scalarValueType
+		) {
+		case 'scalar:string':
+		case 'scalar:number':
+		case 'scalar:boolean':
+		case 'scalar:datetime':
 
-				if (fetchRef) {
+			handler = new SingleValueHandler(
+				colInd, parentHandler, propDesc, this);
+			role = (propDesc.isId() ? 'id' : 'value');
 
-					anchorHandler = new ObjectArrayAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-					this._columnHandlers[colInd] = anchorHandler;
+			break;
 
-					if (++colInd < this._numColumns) {
-						handler = new CollectionFetchedRefHandler(
-							colInd, anchorHandler, propDesc, this);
-						this._columnHandlers[colInd] = handler;
-						if (++colInd < this._numColumns)
-							colInd = this._parseObjectMarkup(
-								colInd, levelPrefix, colInd - 2, handler,
-								this._recordTypes.getRecordTypeDesc(
-									propDesc.refTarget));
-					}
+		case 'scalar:object':
 
-				} else {
+			if (propDesc.isPolymorphRef()) {
+				handler = new SinglePolymorphicRefHandler(
+					colInd, this._columnHandlers[lastAnchorColInd],
+					parentHandler, propDesc, this);
+				role = 'polymorphicRef';
+			} else if (propDesc.isSubtype()) {
+				handler = new PolymorphicObjectTypeHandler(
+					colInd, this._columnHandlers[lastAnchorColInd],
+					parentHandler, propDesc, this);
+				role = 'subtype';
+			} else {
+				handler = new SingleObjectHandler(
+					colInd, this._columnHandlers[lastAnchorColInd],
+					parentHandler, propDesc, this);
+				role = 'object';
+			}
 
-					anchorHandler = new ArraySingleRowAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-					this._columnHandlers[colInd] = anchorHandler;
+			break;
 
-					if ((++colInd < this._numColumns)
-						&& (this._getLevelPrefix(colInd, prefix) !== null)) {
-						this._columnHandlers[colInd] = new SingleRowRefHandler(
-							colInd, anchorHandler, propDesc, this);
-						colInd++;
-					}
-				}
+		case 'scalar:ref':
 
-				break;
+			if (fetchRef) {
+				handler = new SingleFetchedRefHandler(
+					colInd, this._columnHandlers[lastAnchorColInd],
+					parentHandler, propDesc, this, propDesc.isSubtype());
+				role = 'fetchedRef';
+			} else {
+				handler = new SingleRefHandler(
+					colInd, parentHandler, propDesc, this,
+					propDesc.isSubtype());
+				role = 'ref';
+			}
 
-			case 'map:string':
-			case 'map:number':
-			case 'map:boolean':
-			case 'map:datetime':
+			break;
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+		case 'array:string':
+		case 'array:number':
+		case 'array:boolean':
+		case 'array:datetime':
 
-				anchorHandler = new MapSingleRowAnchorHandler(
-					colInd, parentHandler, propDesc, this);
-				this._columnHandlers[colInd] = anchorHandler;
+			handler = new ArraySingleRowAnchorHandler(
+				colInd, parentHandler, propDesc, this);
+			role = 'anchor';
 
-				if ((++colInd < this._numColumns)
-					&& (this._getLevelPrefix(colInd, prefix) !== null)) {
-					this._columnHandlers[colInd] = new SingleRowValueHandler(
-						colInd, anchorHandler, propDesc, this);
-					colInd++;
-				}
+			break;
 
-				break;
+		case 'array:object':
 
-			case 'map:object':
+			handler = (
+				propDesc.isPolymorphRef() ?
+					new PolymorphicRefArrayAnchorHandler(
+						colInd, parentHandler, propDesc, this) :
+					new ObjectArrayAnchorHandler(
+						colInd, parentHandler, propDesc, this));
+			role = 'anchor';
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+			break;
 
-				if (propDesc.isPolymorphRef()) {
-					anchorHandler = new PolymorphicRefMapAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-				} else {
-					anchorHandler = new ObjectMapAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-				}
-				this._columnHandlers[colInd] = anchorHandler;
+		case 'array:ref':
 
-				if (++colInd < this._numColumns)
-					colInd = this._parseObjectMarkup(
-						colInd, levelPrefix, colInd - 1, anchorHandler,
-						propDesc.nestedProperties);
+			handler = (
+				fetchRef ?
+					new ObjectArrayAnchorHandler(
+						colInd, parentHandler, propDesc, this) :
+					new ArraySingleRowAnchorHandler(
+						colInd, parentHandler, propDesc, this));
+			role = 'anchor';
 
-				break;
+			break;
 
-			case 'map:ref':
+		case 'map:string':
+		case 'map:number':
+		case 'map:boolean':
+		case 'map:datetime':
 
-				this._columnHandlers[lastAnchorColInd].setNextAnchor(colInd);
+			handler = new MapSingleRowAnchorHandler(
+				colInd, parentHandler, propDesc, this);
+			role = 'key';
 
-				if (fetchRef) {
+			break;
 
-					anchorHandler = new ObjectMapAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-					this._columnHandlers[colInd] = anchorHandler;
+		case 'map:object':
 
-					if (++colInd < this._numColumns) {
-						handler = new CollectionFetchedRefHandler(
-							colInd, anchorHandler, propDesc, this);
-						this._columnHandlers[colInd] = handler;
-						if (++colInd < this._numColumns)
-							colInd = this._parseObjectMarkup(
-								colInd, levelPrefix, colInd - 2, handler,
-								this._recordTypes.getRecordTypeDesc(
-									propDesc.refTarget));
-					}
+			handler = (
+				propDesc.isPolymorphRef() ?
+					new PolymorphicRefMapAnchorHandler(
+						colInd, parentHandler, propDesc, this) :
+					new ObjectMapAnchorHandler(
+						colInd, parentHandler, propDesc, this));
+			role = 'key';
 
-				} else {
+			break;
 
-					anchorHandler = new MapSingleRowAnchorHandler(
-						colInd, parentHandler, propDesc, this);
-					this._columnHandlers[colInd] = anchorHandler;
+		case 'map:ref':
 
-					if ((++colInd < this._numColumns)
-						&& (this._getLevelPrefix(colInd, prefix) !== null)) {
-						this._columnHandlers[colInd] = new SingleRowRefHandler(
-							colInd, anchorHandler, propDesc, this);
-						colInd++;
-					}
-				}
+			handler = (
+				fetchRef ?
+					new ObjectMapAnchorHandler(
+						colInd, parentHandler, propDesc, this) :
+					new MapSingleRowAnchorHandler(
+						colInd, parentHandler, propDesc, this));
+			role = 'key';
 
-				break;
+			break;
 
-			default: // should never happen
-				throw new Error(
-					'Internal X2 error: record type ' +
-						String(container.recordTypeName) + ' property ' +
-						container.nestedPath + propName +
-						' has unrecognized specification.');
-			}
+		default: // should never happen
+			throw new Error(
+				'Internal X2 error: record type ' +
+					String(propDesc.container.recordTypeName) + ' property ' +
+					propDesc.container.nestedPath + propDesc.name +
+					' has unrecognized specification.');
+		}
 
-		} while (colInd < this._numColumns);
+		this._setColumnHandler(
+			colInd, handler, role, propDesc, propPath, parentHandler,
+			lastAnchorColInd);
 
-		// end of the markup
-		return colInd;
+		return handler;
 	}
 
 	/**
-	 * Extract markup nesting level prefix from the (first) column markup.
+	 * Set column handler and record the column description.
 	 *
 	 * @private
-	 * @param {number} startColInd Index of the first column in the level.
-	 * @param {string} parentPrefix Parent level prefix.
-	 * @returns {string} Level prefix, or <code>null</code> if the column does
-	 * not belong to a nested level (nested level prefix must be longer than the
-	 * parent level).
+	 * @param {number} colInd Column index.
+	 * @param {module:x2node-rsparser~ColumnHandler} handler The column handler.
+	 * @param {string} role Column role.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+	 * the property, to which the column belongs.
+	 * @param {string} propPath Property path.
+	 * @param {module:x2node-rsparser~ColumnHandler} parentHandler Context
+	 * object handler.
+	 * @param {number} lastAnchorColInd Index of the last anchor column.
 	 */
-	_getLevelPrefix(startColInd, parentPrefix) {
-
-		// determine the prefix
-		const startColDef = this._markup[startColInd];
-		const sepInd = startColDef.lastIndexOf('$');
-		const prefix = (sepInd >= 0 ? startColDef.substring(0, sepInd) : '');
-
-		// nested level prefix must be longer than the parent
-		if ((parentPrefix !== null) && (prefix.length <= parentPrefix.length))
-			return null;
-
-		// return the prefix
-		return prefix;
+	_setColumnHandler(
+		colInd, handler, role, propDesc, propPath, parentHandler,
+		lastAnchorColInd) {
+
+		this._columnHandlers[colInd] = handler;
+
+		const lastAnchorInfo = this._columnInfos[lastAnchorColInd];
+		const anchorChain = (
+			lastAnchorInfo ? lastAnchorInfo.anchorChain.slice() : new Array());
+		if ((colInd === 0) || (role === 'anchor') || (role === 'key'))
+			anchorChain.push(colInd);
+
+		this._columnInfos[colInd] = {
+			colInd: colInd,
+			markup: this._markup[colInd],
+			propertyPath: propPath,
+			role: role,
+			handler: handler.constructor.name,
+			parentColInd: parentHandler._colInd,
+			anchorChain: anchorChain,
+			propDesc: propDesc
+		};
 	}
 
 	/**
-	 * Merge records collected by another parser into this one. The specified
-	 * other parser must contain the same number of records in the same order.
-	 * Each record is then merged one by one into the records in this parser.
+	 * Merge records collected by another parser into this one. By default, the
+	 * specified other parser must contain the same number of records in the
+	 * same order. Each record is then merged one by one into the records in
+	 * this parser. In the id-keyed mode, the top records and the nested object
+	 * array elements are matched by their ids and the map entries are matched
+	 * by their keys instead, so the order and the number of records and
+	 * elements do not have to be the same.
 	 *
 	 * @param {module:x2node-rsparser~ResultSetParser} parser The other parser.
+	 * @param {module:x2node-rsparser~MergeOptions} [options] Merge options.
 	 * @returns {module:x2node-rsparser~ResultSetParser} This parser.
 	 * @throws {module:x2node-common.X2UsageError} If the specified parser is
-	 * incompatible with this one.
+	 * incompatible with this one, if any of the parsers is in the streaming
+	 * mode, or if the options are invalid.
 	 */
-	merge(parser) {
+	merge(parser, options) {
+
+		// streaming parsers do not accumulate records
+		if (this._recordHandler || parser._recordHandler)
+			throw new common.X2UsageError(
+				'Parsers in the streaming mode cannot be merged.');
 
 		// make sure the parsers share the same top record type
 		if (parser._topRecordTypeDesc !== this._topRecordTypeDesc)
 			throw new common.X2UsageError(
 				'Parsers must share the same top record type.');
 
+		// completed records cannot be merged
+		if ((this._numCompletedRecords > 0) ||
+			(parser._numCompletedRecords > 0))
+			throw new common.X2UsageError(
+				'Parsers cannot be merged after records with embedded referred' +
+					' records or completed by the object factory have been' +
+					' read.');
+
+		// parse rows buffered in the unordered mode
+		this._processBufferedRows();
+		parser._processBufferedRows();
+
+		// validate the options
+		const mergeOptions = {
+			byId: !!(options && options.byId),
+			missing: ((options && options.missing) || 'add'),
+			onConflict: ((options && options.onConflict) || 'keepLast')
+		};
+		if (!MERGE_MISSING_POLICIES.has(mergeOptions.missing))
+			throw new common.X2UsageError(
+				'Invalid missing records merge policy ' +
+					String(mergeOptions.missing) + '.');
+		if (((typeof mergeOptions.onConflict) !== 'function') &&
+			!MERGE_CONFLICT_POLICIES.has(mergeOptions.onConflict))
+			throw new common.X2UsageError(
+				'Invalid merge conflict policy ' +
+					String(mergeOptions.onConflict) + '.');
+
 		// merge the main record arrays
 		const otherRecords = parser._records;
-		if (otherRecords.length !== this._records.length)
-			throw new common.X2UsageError(
-				'Parsers must contain same number of records.');
-		this._records.forEach((rec, i) => {
-			this._mergeObjects(rec, otherRecords[i], this._topRecordTypeDesc);
-		});
+		if (mergeOptions.byId) {
+			this._mergeById(
+				this._records, otherRecords,
+				this._topRecordTypeDesc.idPropertyName, mergeOptions,
+				(rec1, rec2) => {
+					this._mergeRecords(
+						rec1, rec2, this._topRecordTypeDesc, mergeOptions);
+				});
+		} else {
+			if (otherRecords.length !== this._records.length)
+				throw new common.X2UsageError(
+					'Parsers must contain same number of records.');
+			this._records.forEach((rec, i) => {
+				this._mergeRecords(
+					rec, otherRecords[i], this._topRecordTypeDesc,
+					mergeOptions);
+			});
+		}
 
 		// merge referred records maps
-		Object.keys(parser._referredRecords).forEach(ref => {
-			const rec = this._referredRecords[ref];
-			if (rec !== undefined) {
-				this._mergeObjects(
-					rec, parser._referredRecords[ref],
-					this._recordTypes.getRecordTypeDesc(
-						ref.substring(0, ref.indexOf('#'))));
-			} else {
-				this._referredRecords[ref] = parser._referredRecords[ref];
-			}
+		Object.keys(parser._referredRecordsByType).forEach(recordTypeName => {
+			const recordTypeDesc = this._recordTypes.getRecordTypeDesc(
+				recordTypeName);
+			const otherTypeRecords =
+				parser._referredRecordsByType[recordTypeName];
+			Object.keys(otherTypeRecords).forEach(id => {
+				const otherRec = otherTypeRecords[id];
+				const rec = this.getReferredRecord(recordTypeName, id);
+				if (rec !== null)
+					this._mergeRecords(
+						rec, otherRec, recordTypeDesc, mergeOptions);
+				else
+					this._addReferredRecord(
+						recordTypeName, recordTypeName + '#' + id, otherRec);
+			});
 		});
 
 		// return this merged parser
 		return this;
 	}
 
+	/**
+	 * Merge two records.
+	 *
+	 * @private
+	 * @param {Object} rec1 Record, into which to merge.
+	 * @param {Object} rec2 Record to merge into <code>rec1</code> (stays
+	 * unmodified).
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Record type descriptor.
+	 * @param {Object} mergeOptions Merge options.
+	 */
+	_mergeRecords(rec1, rec2, recordTypeDesc, mergeOptions) {
+
+		this._mergeObjects(
+			rec1, rec2, recordTypeDesc, mergeOptions, {
+				recordTypeName: recordTypeDesc.name,
+				recordId: rec1[recordTypeDesc.idPropertyName]
+			}, '');
+	}
+
+	/**
+	 * Merge two arrays of records or nested objects matching them by id.
+	 *
+	 * @private
+	 * @param {Array.<Object>} array1 Array, into which to merge.
+	 * @param {Array.<Object>} array2 Array to merge into <code>array1</code>
+	 * (stays unmodified).
+	 * @param {string} idPropName Name of the id property.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {function} mergeFunc Function that merges two matching elements.
+	 * @param {module:x2node-records~PropertyDescriptor} [propDesc] Array
+	 * property descriptor, or nothing for the top records array.
+	 */
+	_mergeById(array1, array2, idPropName, mergeOptions, mergeFunc, propDesc) {
+
+		// get the elements
+		const elements1 = (
+			propDesc ? this._objectFactory.getArrayElements(array1, propDesc) :
+				array1);
+		const elements2 = (
+			propDesc ? this._objectFactory.getArrayElements(array2, propDesc) :
+				array2);
+
+		// index the elements by id
+		const index = new Map();
+		elements1.forEach(obj1 => {
+			if (obj1 !== null)
+				index.set(obj1[idPropName], obj1);
+		});
+
+		// merge matching elements and process the missing ones
+		const merged = new Set();
+		elements2.forEach(obj2 => {
+			if (obj2 === null)
+				return;
+			const id = obj2[idPropName];
+			const obj1 = index.get(id);
+			if (obj1 !== undefined) {
+				mergeFunc(obj1, obj2);
+				merged.add(id);
+			} else if (mergeOptions.missing === 'add') {
+				array1.push(obj2);
+			} else if (mergeOptions.missing === 'error') {
+				throw new common.X2UsageError(
+					'Attempt to merge in element with id ' + String(id) +
+						' missing in the parser, into which to merge.');
+			}
+		});
+		if (mergeOptions.missing === 'error')
+			index.forEach((obj1, id) => {
+				if (!merged.has(id))
+					throw new common.X2UsageError(
+						'Element with id ' + String(id) +
+							' is missing in the parser being merged.');
+			});
+	}
+
+	/**
+	 * Merge two nested objects, such as collection elements.
+	 *
+	 * @private
+	 * @param {?Object} obj1 Element, into which to merge.
+	 * @param {?Object} obj2 Element to merge into <code>obj1</code> (stays
+	 * unmodified).
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Nested object
+	 * property descriptor.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {Object} recInfo Type and id of the record being merged.
+	 * @param {string} propPath Nested object property path.
+	 */
+	_mergeElement(obj1, obj2, propDesc, mergeOptions, recInfo, propPath) {
+
+		if ((obj1 === null) || (obj2 === null)) {
+			if (obj1 !== obj2)
+				throw new common.X2UsageError(
+					'Attempt to merge non-null collection element with null.');
+			return;
+		}
+
+		if (propDesc.isPolymorphObject()) {
+			const typePropName = propDesc.nestedProperties.typePropertyName;
+			const type = obj1[typePropName];
+			if (type !== obj2[typePropName])
+				throw new common.X2UsageError(
+					'Attempt to merge polymorphic objects of different types.');
+			this._mergeObjects(
+				obj1, obj2, propDesc.nestedProperties, mergeOptions, recInfo,
+				propPath);
+			this._mergeObjects(
+				obj1, obj2,
+				propDesc.nestedProperties.getPropertyDesc(type)
+					.nestedProperties,
+				mergeOptions, recInfo, propPath + '.' + type);
+		} else {
+			this._mergeObjects(
+				obj1, obj2, propDesc.nestedProperties, mergeOptions, recInfo,
+				propPath);
+		}
+	}
+
 	/**
 	 * Merge two objects.
 	 *
@@ -2065,51 +3081,48 @@ class ResultSetParser {
 	 * unmodified).
 	 * @param {module:x2node-records~PropertiesContainer} container Container
 	 * that describes the object properties.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {Object} recInfo Type and id of the record being merged.
+	 * @param {string} basePath Object property path, or empty string for the
+	 * record.
+	 * @throws {module:x2node-common.X2DataError} If the objects have conflicting
+	 * property values and the conflict policy is "error".
 	 */
-	_mergeObjects(obj1, obj2, container) {
+	_mergeObjects(obj1, obj2, container, mergeOptions, recInfo, basePath) {
 
 		const idPropName = container.idPropertyName;
 
 		Object.keys(obj2).forEach(propName => {
 			if (!container.hasProperty(propName))
 				return;
-			if (obj1.hasOwnProperty(propName)) {
+			if (Object.prototype.hasOwnProperty.call(obj1, propName)) {
 				const propDesc = container.getPropertyDesc(propName);
+				const propPath = (
+					basePath.length > 0 ? basePath + '.' + propName : propName);
 				if ((propDesc.scalarValueType === 'object') &&
 					!propDesc.isPolymorphRef()) {
 					if (propDesc.isArray()) {
 						this._mergeArrays(
-							obj1[propName], obj2[propName], propDesc);
+							obj1[propName], obj2[propName], propDesc,
+							mergeOptions, recInfo, propPath);
 					} else if (propDesc.isMap()) {
 						this._mergeMaps(
-							obj1[propName], obj2[propName], propDesc);
-					} else if (propDesc.isPolymorphObject()) {
-						const typePropName =
-							propDesc.nestedProperties.typePropertyName;
-						const nestedObj1 = obj1[propName];
-						const nestedObj2 = obj2[propName];
-						const type = nestedObj1[typePropName];
-						if (type !== nestedObj2[typePropName])
-							throw new common.X2UsageError(
-								'Attempt to merge polymorphic objects of' +
-									' different types.');
-						this._mergeObjects(
-							nestedObj1, nestedObj2, propDesc.nestedProperties);
-						this._mergeObjects(
-							nestedObj1, nestedObj2,
-							propDesc.nestedProperties.getPropertyDesc(type)
-								.nestedProperties);
+							obj1[propName], obj2[propName], propDesc,
+							mergeOptions, recInfo, propPath);
 					} else {
-						this._mergeObjects(
-							obj1[propName], obj2[propName],
-							propDesc.nestedProperties);
+						this._mergeElement(
+							obj1[propName], obj2[propName], propDesc,
+							mergeOptions, recInfo, propPath);
 					}
 				} else if (propName === idPropName) {
 					if (obj1[propName] !== obj2[propName])
 						throw new common.X2UsageError(
 							'Attempt to merge objects with different ids.');
-				} else { // overwrite
-					obj1[propName] = obj2[propName];
+				} else if (!this._propertyValuesEqual(
+					obj1[propName], obj2[propName], propDesc)) {
+					obj1[propName] = this._resolveConflict(
+						obj1[propName], obj2[propName], mergeOptions, recInfo,
+						propPath);
 				}
 			} else {
 				obj1[propName] = obj2[propName];
@@ -2126,58 +3139,34 @@ class ResultSetParser {
 	 * (stays unmodified).
 	 * @param {module:x2node-records~PropertyDescriptor} propDesc Array property
 	 * descriptor in the parent container.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {Object} recInfo Type and id of the record being merged.
+	 * @param {string} propPath Array property path.
 	 */
-	_mergeArrays(array1, array2, propDesc) {
+	_mergeArrays(array1, array2, propDesc, mergeOptions, recInfo, propPath) {
+
+		if (mergeOptions.byId) {
+			this._mergeById(
+				array1, array2, propDesc.nestedProperties.idPropertyName,
+				mergeOptions, (obj1, obj2) => {
+					this._mergeElement(
+						obj1, obj2, propDesc, mergeOptions, recInfo, propPath);
+				}, propDesc);
+			return;
+		}
 
-		if (array1.length !== array2.length)
+		const elements1 = this._objectFactory.getArrayElements(
+			array1, propDesc);
+		const elements2 = this._objectFactory.getArrayElements(
+			array2, propDesc);
+		if (elements1.length !== elements2.length)
 			throw new common.X2UsageError(
 				'Attempt to merge object arrays of different lengths.');
 
-		if (propDesc.isPolymorphObject()) {
-			const typePropName = propDesc.nestedProperties.typePropertyName;
-			array1.forEach((obj1, i) => {
-				const obj2 = array2[i];
-				if (obj1 === null) {
-					if (obj2 !== null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-				} else {
-					if (obj2 === null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-					const type = obj1[typePropName];
-					if (type !== obj2[typePropName])
-						throw new common.X2UsageError(
-							'Attempt to merge polymorphic objects of' +
-								' different types.');
-					this._mergeObjects(
-						obj1, obj2, propDesc.nestedProperties);
-					this._mergeObjects(
-						obj1, obj2,
-						propDesc.nestedProperties.getPropertyDesc(type)
-							.nestedProperties);
-				}
-			});
-		} else {
-			const container = propDesc.nestedProperties;
-			array1.forEach((obj1, i) => {
-				const obj2 = array2[i];
-				if (obj1 === null) {
-					if (obj2 !== null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-				} else {
-					if (obj2 === null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-					this._mergeObjects(obj1, obj2, container);
-				}
-			});
-		}
+		elements1.forEach((obj1, i) => {
+			this._mergeElement(
+				obj1, elements2[i], propDesc, mergeOptions, recInfo, propPath);
+		});
 	}
 
 	/**
@@ -2189,65 +3178,124 @@ class ResultSetParser {
 	 * (stays unmodified).
 	 * @param {module:x2node-records~PropertyDescriptor} propDesc Map property
 	 * descriptor in the parent container.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {Object} recInfo Type and id of the record being merged.
+	 * @param {string} propPath Map property path.
 	 */
-	_mergeMaps(map1, map2, propDesc) {
+	_mergeMaps(map1, map2, propDesc, mergeOptions, recInfo, propPath) {
+
+		const factory = this._objectFactory;
+
+		if (mergeOptions.byId) {
+			factory.getMapKeys(map2, propDesc).forEach(key => {
+				const obj1 = factory.getMapElement(map1, key, propDesc);
+				const obj2 = factory.getMapElement(map2, key, propDesc);
+				if (obj1 !== undefined) {
+					this._mergeElement(
+						obj1, obj2, propDesc, mergeOptions, recInfo, propPath);
+				} else if (mergeOptions.missing === 'add') {
+					factory.setMapElement(map1, key, obj2, propDesc);
+				} else if (mergeOptions.missing === 'error') {
+					throw new common.X2UsageError(
+						'Attempt to merge in map entry with key ' + key +
+							' missing in the parser, into which to merge.');
+				}
+			});
+			if (mergeOptions.missing === 'error')
+				factory.getMapKeys(map1, propDesc).forEach(key => {
+					if (factory.getMapElement(map2, key, propDesc) === undefined)
+						throw new common.X2UsageError(
+							'Map entry with key ' + key +
+								' is missing in the parser being merged.');
+				});
+			return;
+		}
 
-		const keys = Object.keys(map1);
-		if (keys.length !== Object.keys(map2).length)
+		const keys = factory.getMapKeys(map1, propDesc);
+		if (keys.length !== factory.getMapKeys(map2, propDesc).length)
 			throw new common.X2UsageError(
 				'Attempt to merge object maps of different sizes.');
 
-		if (propDesc.isPolymorphObject()) {
-			const typePropName = propDesc.nestedProperties.typePropertyName;
-			keys.forEach(key => {
-				const obj1 = map1[key];
-				const obj2 = map2[key];
-				if (obj2 === undefined)
-					throw new common.X2UsageError(
-						'Attempt to merge maps with different keys.');
-				if (obj1 === null) {
-					if (obj2 !== null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-				} else {
-					if (obj2 === null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null array element with' +
-								' null.');
-					const type = obj1[typePropName];
-					if (type !== obj2[typePropName])
-						throw new common.X2UsageError(
-							'Attempt to merge polymorphic objects of' +
-								' different types.');
-					this._mergeObjects(
-						obj1, obj2, propDesc.nestedProperties);
-					this._mergeObjects(
-						obj1, obj2,
-						propDesc.nestedProperties.getPropertyDesc(type)
-							.nestedProperties);
-				}
+		keys.forEach(key => {
+			const obj2 = factory.getMapElement(map2, key, propDesc);
+			if (obj2 === undefined)
+				throw new common.X2UsageError(
+					'Attempt to merge maps with different keys.');
+			this._mergeElement(
+				factory.getMapElement(map1, key, propDesc), obj2, propDesc,
+				mergeOptions, recInfo, propPath);
+		});
+	}
+
+	/**
+	 * Tell if two merged simple value, reference or polymorphic reference
+	 * property values are equal. Collections are compared element by element.
+	 *
+	 * @private
+	 * @param {*} val1 First value.
+	 * @param {*} val2 Second value.
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @returns {boolean} <code>true</code> if the values are equal.
+	 */
+	_propertyValuesEqual(val1, val2, propDesc) {
+
+		if ((val1 === val2) || (val1 === null) || (val2 === null))
+			return (val1 === val2);
+
+		const factory = this._objectFactory;
+
+		if (propDesc.isArray()) {
+			const elements1 = factory.getArrayElements(val1, propDesc);
+			const elements2 = factory.getArrayElements(val2, propDesc);
+			return ((elements1.length === elements2.length) &&
+				elements1.every((el, i) => valuesEqual(el, elements2[i])));
+		}
+
+		if (propDesc.isMap()) {
+			const keys = factory.getMapKeys(val1, propDesc);
+			if (keys.length !== factory.getMapKeys(val2, propDesc).length)
+				return false;
+			return keys.every(key => {
+				const el2 = factory.getMapElement(val2, key, propDesc);
+				return ((el2 !== undefined) && valuesEqual(
+					factory.getMapElement(val1, key, propDesc), el2));
 			});
-		} else {
-			const container = propDesc.nestedProperties;
-			keys.forEach(key => {
-				const obj1 = map1[key];
-				const obj2 = map2[key];
-				if (obj2 === undefined)
-					throw new common.X2UsageError(
-						'Attempt to merge maps with different keys.');
-				if (obj1 === null) {
-					if (obj2 !== null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null map element with' +
-								' null.');
-				} else {
-					if (obj2 === null)
-						throw new common.X2UsageError(
-							'Attempt to merge non-null map element with' +
-								' null.');
-					this._mergeObjects(obj1, obj2, container);
-				}
+		}
+
+		return valuesEqual(val1, val2);
+	}
+
+	/**
+	 * Resolve conflicting property values in merged objects.
+	 *
+	 * @private
+	 * @param {*} val1 Value in the object, into which to merge.
+	 * @param {*} val2 Value in the object being merged.
+	 * @param {Object} mergeOptions Merge options.
+	 * @param {Object} recInfo Type and id of the record being merged.
+	 * @param {string} propPath Property path.
+	 * @returns {*} The resolved value.
+	 * @throws {module:x2node-common.X2DataError} If the conflict policy is
+	 * "error".
+	 */
+	_resolveConflict(val1, val2, mergeOptions, recInfo, propPath) {
+
+		switch (mergeOptions.onConflict) {
+		case 'keepFirst':
+			return val1;
+		case 'keepLast':
+			return val2;
+		case 'error':
+			throw new common.X2DataError(
+				'Conflicting values of property ' + propPath + ' for ' +
+					recInfo.recordTypeName + ' #' + String(recInfo.recordId) +
+					' in merged parsers.');
+		default:
+			return mergeOptions.onConflict(val1, val2, {
+				recordTypeName: recInfo.recordTypeName,
+				recordId: recInfo.recordId,
+				propertyPath: propPath
 			});
 		}
 	}
@@ -2257,18 +3305,36 @@ class ResultSetParser {
 	 * The method creates new empty <code>records</code> and
 	 * <code>referredRecords</code> properties and leaves the markup in place, so
 	 * there is no need to initialize the parser again and the new result set
-	 * rows can start to be fed to the parser right away.
+	 * rows can start to be fed to the parser right away. The shared referred
+	 * records cache, if any, is left intact.
 	 */
 	reset() {
 
 		// reset result accumulators
 		this._records.length = 0;
 		this._referredRecords = new Object();
+		this._referredRecordsByType = new Object();
+		this._lastRecord = null;
 
 		// reset row skipper
 		this._referredRecordsNRows.clear();
+		this._openReferredRecords.clear();
 		this._skipNextNRows = 0;
 
+		// reset lenient mode errors
+		this._errors = new Array();
+		this._quarantined = false;
+		this._quarantinedId = undefined;
+
+		// reset unordered mode rows buffer and seen top record ids
+		this._bufferedRows = new Array();
+		this._bufferProcessed = false;
+		this._seenTopRecordIds.clear();
+
+		// reset referred records embedding and record completion state
+		this._embedder = null;
+		this._numCompletedRecords = 0;
+
 		// reset row counter
 		this._rowsProcessed = 0;
 
@@ -2283,42 +3349,254 @@ class ResultSetParser {
 	 * @param {(Array.<*>|Object.<string,*>)} row The result set row, which can
 	 * be an array of raw values for each result set column, or an object with
 	 * column markup as the keys and corresponding raw values as the values.
-	 * @throws {module:x2node-common.X2DataError} If the row data does not match
-	 * the markup.
+	 * @throws {module:x2node-rsparser~InvalidDataError} If the row data does not
+	 * match the markup and the parser is not in the lenient mode.
+	 * @throws {module:x2node-common.X2UsageError} If in the unordered mode the
+	 * parser has already been flushed or its parsing results have been read
+	 * and it has not been reset since.
 	 */
 	feedRow(row) {
 
-		const rowNum = this._rowsProcessed++;
+		// the buffered rows can be grouped only once
+		if (this._bufferProcessed)
+			throw new common.X2UsageError(
+				'In the unordered mode, rows cannot be fed to the parser after' +
+					' it has been flushed or its parsing results have been' +
+					' read. The parser must be reset first.');
+
+		// in the unordered mode just buffer the row
+		if (this._unordered) {
+			this._bufferedRows.push(row);
+			return;
+		}
+
+		this._processRow(row, this._rowsProcessed);
+	}
+
+	/**
+	 * Parse buffered rows in the unordered mode. The rows are grouped by the
+	 * top record id and then by each anchor on the collection axis, keeping the
+	 * groups in the order of their first appearance, and fed to the column
+	 * handlers as if they came ordered. Since the rows of a top record cannot
+	 * be added once it has been parsed, no more rows are accepted after that.
+	 *
+	 * @private
+	 */
+	_processBufferedRows() {
+
+		if (!this._unordered)
+			return;
+		this._bufferProcessed = true;
+
+		const rows = this._bufferedRows;
+		if (rows.length === 0)
+			return;
+		this._bufferedRows = new Array();
+
+		const rowNumBase = this._rowsProcessed;
+		const rowInds = new Array();
+		groupRows(
+			rows, rows.map((row, i) => i),
+			[ 0 ].concat(this._getCollectionAxis()), 0, this._markup, rowInds);
+
+		for (let rowInd of rowInds)
+			this._processRow(rows[rowInd], rowNumBase + rowInd);
+	}
+
+	/**
+	 * Parse a result set row.
+	 *
+	 * @private
+	 * @param {(Array.<*>|Object.<string,*>)} row The result set row.
+	 * @param {number} rowNum The row number.
+	 */
+	_processRow(row, rowNum) {
+
+		this._rowsProcessed++;
+		this._curRowNum = rowNum;
 
 		if (this._skipNextNRows > 0) {
 			this._skipNextNRows--;
 			return;
 		}
 
+		// skip rows of the quarantined top record in the lenient mode
+		this._curRow = row;
+		if (this._quarantined) {
+			if (this._isQuarantinedRow(rowNum))
+				return;
+			this._quarantined = false;
+		}
+
 		let colInd = 0;
-		if (Array.isArray(row)) {
-			do {
-				colInd = this._columnHandlers[colInd].execute(
-					rowNum, row[colInd]);
-			} while (colInd < this._numColumns);
-		} else {
-			do {
-				colInd = this._columnHandlers[colInd].execute(
-					rowNum, row[this._markup[colInd]]);
-			} while (colInd < this._numColumns);
+		try {
+			if (this._columnPreprocessors) {
+				do {
+					colInd = this._columnHandlers[colInd].execute(
+						rowNum, this._columnValue(colInd));
+				} while (colInd < this._numColumns);
+			} else if (Array.isArray(row)) {
+				do {
+					colInd = this._columnHandlers[colInd].execute(
+						rowNum, row[colInd]);
+				} while (colInd < this._numColumns);
+			} else {
+				do {
+					colInd = this._columnHandlers[colInd].execute(
+						rowNum, row[this._markup[colInd]]);
+				} while (colInd < this._numColumns);
+			}
+		} catch (err) {
+			if (!(err instanceof common.X2DataError))
+				throw err;
+			if (err.reason === undefined) { // thrown by a value extractor
+				const topRecord = this._rowTopRecord(rowNum, colInd);
+				this._setErrorDetails(
+					err, colInd, 'invalidValue', (
+						topRecord ?
+							topRecord[this._topRecordTypeDesc.idPropertyName] :
+							null));
+			}
+			if (!this._lenient)
+				throw err;
+			this._quarantine(err, rowNum, colInd);
+		}
+	}
+
+	/**
+	 * Check if a row belongs to the quarantined top record in the lenient mode.
+	 *
+	 * @private
+	 * @param {number} rowNum Row number.
+	 * @returns {boolean} <code>true</code> if the row must be skipped.
+	 */
+	_isQuarantinedRow(rowNum) {
+
+		try {
+			return (this._columnHandlers[0].getRecordId(
+				rowNum, this._columnValue(0)) === this._quarantinedId);
+		} catch (err) {
+			return false; // let the top record id handler report it
+		}
+	}
+
+	/**
+	 * Collect invalid data error in the lenient mode, drop the top record, to
+	 * which the offending row belongs (unless configured to keep it), and make
+	 * the parser skip the rest of the record's rows.
+	 *
+	 * @private
+	 * @param {module:x2node-common.X2DataError} err The error.
+	 * @param {number} rowNum Offending row number.
+	 * @param {number} colInd Offending column index.
+	 */
+	_quarantine(err, rowNum, colInd) {
+
+		// find out if the row belongs to the current top record
+		const record = this._rowTopRecord(rowNum, colInd);
+
+		// collect the error
+		this._errors.push({
+			rowNum: rowNum,
+			colInd: colInd,
+			markup: this._markup[colInd],
+			topRecordId: (
+				record ? record[this._topRecordTypeDesc.idPropertyName] : null),
+			message: err.message,
+			record: (record && (this._badRecords === 'keep') ? record : null),
+			error: err
+		});
+
+		// nothing else to do if the row does not belong to the current record
+		if (!record)
+			return;
+
+		// skip the rest of the record rows
+		this._quarantined = true;
+		this._quarantinedId = this._columnHandlers[0].lastValue;
+
+		// drop the record
+		if (this._badRecords === 'drop') {
+			if (!this._recordHandler)
+				this._records.pop();
+			this._lastRecord = null;
+		}
+
+		// reset the handlers and forget the unfinished referred records
+		const openReferredRecords = new Map(this._openReferredRecords);
+		this.resetChain(-1);
+		openReferredRecords.forEach((openRef, key) => {
+			this._referredRecordsNRows.delete(key);
+			if (openRef.created)
+				this._removeReferredRecord(openRef.refVal);
+		});
+		this._openReferredRecords.clear();
+	}
+
+	/**
+	 * Switch the parser into the streaming mode. In the streaming mode, the
+	 * parser does not accumulate top records in its <code>records</code>
+	 * property. Instead, each top record is passed to the specified handler as
+	 * soon as it is complete, which is when a row with a different top record
+	 * id is fed to the parser. The last top record is passed to the handler
+	 * when the parser's [flush()]{@link module:x2node-rsparser~ResultSetParser#flush}
+	 * method is called after all rows have been fed. Fetched referred records
+	 * are still accumulated in the <code>referredRecords</code> property. Since
+	 * the parser does not remember the top records passed to the handler, a
+	 * top record id that appears again after rows of other records is not
+	 * detected in the streaming mode: the record is passed to the handler
+	 * again.
+	 *
+	 * @param {?module:x2node-rsparser~recordHandler} handler The record handler,
+	 * or <code>null</code> to switch the streaming mode off.
+	 * @returns {module:x2node-rsparser~ResultSetParser} This parser.
+	 */
+	setRecordHandler(handler) {
+
+		this._recordHandler = handler;
+
+		return this;
+	}
+
+	/**
+	 * Signal the parser that all result set rows have been fed to it. In the
+	 * unordered mode, parses the buffered rows. In the streaming mode, passes
+	 * the last top record to the record handler. Otherwise, the call has no
+	 * effect.
+	 */
+	flush() {
+
+		this._processBufferedRows();
+
+		if (this._recordHandler && this._lastRecord) {
+			const rec = this._lastRecord;
+			this._lastRecord = null;
+			this._completeRecord(rec);
+			this._recordHandler(rec);
 		}
 	}
 
 	/**
 	 * Array of records extracted from the result set rows. The property is
 	 * usually read by the client after all result set rows have been fed to the
-	 * parser.
+	 * parser. In the streaming mode the array stays empty. If the parser is
+	 * configured to embed fetched referred records, they are embedded when the
+	 * property is read. Likewise, the object factory's
+	 * <code>completeRecord</code> hook, if any, is called for the records when
+	 * the property is read.
 	 *
 	 * @member {Array.<Object>}
 	 * @readonly
 	 */
 	get records() {
 
+		this._processBufferedRows();
+
+		if (this._embedOptions || this._objectFactory.completeRecord)
+			while (this._numCompletedRecords < this._records.length)
+				this._completeRecord(
+					this._records[this._numCompletedRecords++]);
+
 		return this._records;
 	}
 
@@ -2332,9 +3610,195 @@ class ResultSetParser {
 	 */
 	get referredRecords() {
 
+		this._processBufferedRows();
+
 		return this._referredRecords;
 	}
+
+	/**
+	 * Fetched referred records grouped by record type. The property is an
+	 * object with referred record type names as the keys and objects with
+	 * referred record ids as the keys and the records as the values as the
+	 * values. It contains the same record instances as the
+	 * <code>referredRecords</code> property.
+	 *
+	 * @member {Object.<string,Object.<string,Object>>}
+	 * @readonly
+	 */
+	get referredRecordsByType() {
+
+		this._processBufferedRows();
+
+		return this._referredRecordsByType;
+	}
+
+	/**
+	 * Get fetched referred record.
+	 *
+	 * @param {string} recordTypeName Referred record type name.
+	 * @param {*} id Referred record id.
+	 * @returns {?Object} The referred record, or <code>null</code> if not
+	 * fetched.
+	 */
+	getReferredRecord(recordTypeName, id) {
+
+		const typeRecords = this.referredRecordsByType[recordTypeName];
+		const key = String(id);
+
+		return (
+			typeRecords && typeRecords.hasOwnProperty(key) ?
+				typeRecords[key] : null);
+	}
+
+	/**
+	 * Get all fetched referred records of the specified record type.
+	 *
+	 * @param {string} recordTypeName Referred record type name.
+	 * @returns {Array.<Object>} The referred records, empty if none.
+	 */
+	getReferredRecords(recordTypeName) {
+
+		const typeRecords = this.referredRecordsByType[recordTypeName];
+
+		return (
+			typeRecords ? Object.keys(typeRecords).map(id => typeRecords[id]) :
+				new Array());
+	}
+
+	/**
+	 * Errors collected in the lenient mode for the offending result set rows.
+	 * Empty if the parser is not in the lenient mode, as in that case the errors
+	 * are thrown from the <code>feedRow()</code> method.
+	 *
+	 * @member {Array.<module:x2node-rsparser~ParseError>}
+	 * @readonly
+	 */
+	get errors() {
+
+		this._processBufferedRows();
+
+		return this._errors;
+	}
 }
 
+/**
+ * Error thrown by the parser's <code>feedRow()</code> method when the result
+ * set row data does not match the markup. It is an
+ * <code>X2DataError</code> with additional properties describing the problem.
+ *
+ * @typedef {module:x2node-common.X2DataError} InvalidDataError
+ * @memberof module:x2node-rsparser
+ * @property {number} rowNum Offending result set row number, starting from zero.
+ * @property {number} colInd Offending column index, starting from zero.
+ * @property {string} markup The offending column markup.
+ * @property {string} propertyPath Path of the property, to which the column
+ * belongs.
+ * @property {*} topRecordId Id of the top record, to which the offending row
+ * belongs, or <code>null</code> if the row does not belong to any.
+ * @property {*} rawValue Raw value of the offending column.
+ * @property {string} reason Reason code: "nullTopRecordId" for NULL top record
+ * id, "duplicateRecord" if rows of a top record are not contiguous,
+ * "duplicateElement" if rows of a nested object array element or an object or
+ * reference map entry are not contiguous,
+ * "anchorsUnchanged" if no anchor changed from the previous row,
+ * "nullNotOptional" for NULL in a property that is not optional,
+ * "unexpectedNull" for NULL anchor or map key in the middle of a collection,
+ * "repeatedNull" for NULL anchor or map key repeated in the next row,
+ * "nullExpected" for a non-NULL anchor or map key after a NULL one for the same
+ * parent, "noPolymorphicValue" if none of the polymorphic object subtypes or
+ * reference targets has a value, "multiplePolymorphicValues" if more than
+ * one has and "invalidValue" if a value extractor rejected the raw value.
+ */
+
+/**
+ * Invalid data error collected by a parser in the lenient mode.
+ *
+ * @typedef {Object} ParseError
+ * @memberof module:x2node-rsparser
+ * @property {number} rowNum Offending result set row number, starting from zero.
+ * @property {number} colInd Offending column index, starting from zero.
+ * @property {string} markup The offending column markup.
+ * @property {*} topRecordId Id of the top record, to which the offending row
+ * belongs, or <code>null</code> if the row does not belong to any (for example,
+ * the top record id in it is NULL).
+ * @property {string} message Error description.
+ * @property {?Object} record The partially extracted top record left in the
+ * result, if the parser is configured to keep bad records, or
+ * <code>null</code>.
+ * @property {module:x2node-common.X2DataError} error The original error.
+ */
+
+/**
+ * Options for merging parsers.
+ *
+ * @typedef {Object} MergeOptions
+ * @memberof module:x2node-rsparser
+ * @property {boolean} [byId=false] Match top records and nested object array
+ * elements by their ids and map entries by their keys instead of by their
+ * positions.
+ * @property {string} [missing="add"] In the id-keyed mode, what to do with
+ * records, elements and map entries present in only one of the parsers: "add"
+ * to add the ones present only in the parser being merged, "skip" to ignore
+ * them, or "error" to throw an error if any are present in only one of the
+ * parsers.
+ * @property {(string|module:x2node-rsparser~mergeConflictResolver)}
+ * [onConflict="keepLast"] What to do when both parsers have different values
+ * of the same scalar property: "keepLast" to use the value from the parser
+ * being merged, "keepFirst" to keep the value in this parser, "error" to throw
+ * an <code>X2DataError</code> naming the record and the property path, or a
+ * resolver function that returns the value to use.
+ */
+
+/**
+ * Resolver of conflicting property values in merged parsers.
+ *
+ * @callback mergeConflictResolver
+ * @memberof module:x2node-rsparser
+ * @param {*} value1 Value in the parser, into which the other parser is merged.
+ * @param {*} value2 Value in the parser being merged.
+ * @param {Object} conflict Conflict location with <code>recordTypeName</code>,
+ * <code>recordId</code> and <code>propertyPath</code> properties.
+ * @returns {*} The value to use.
+ */
+
+/**
+ * Description of the markup interpretation by an initialized parser.
+ *
+ * @typedef {Object} MarkupDescription
+ * @memberof module:x2node-rsparser
+ * @property {string} recordTypeName Top record type name.
+ * @property {Array.<number>} collectionAxis Indexes of the anchor columns on
+ * the collection axis in the order of nesting, not including the top record id
+ * column.
+ * @property {Array.<module:x2node-rsparser~MarkupColumnDescription>} columns
+ * Descriptions of the top record level columns.
+ */
+
+/**
+ * Description of a markup column.
+ *
+ * @typedef {Object} MarkupColumnDescription
+ * @memberof module:x2node-rsparser
+ * @property {number} colInd Column index.
+ * @property {string} markup The column markup.
+ * @property {string} propertyPath Path of the property, to which the column
+ * belongs.
+ * @property {string} role Column role. Uses the same values as the
+ * [MarkupColumn]{@link module:x2node-rsparser~MarkupColumn} role.
+ * @property {string} handler Name of the column handler class.
+ * @property {Array.<number>} anchorChain Indexes of the anchor columns, on
+ * which the column depends, starting with the top record id column.
+ * @property {Array.<module:x2node-rsparser~MarkupColumnDescription>} children
+ * Descriptions of the columns nested under this column.
+ */
+
+/**
+ * Top record handler used in the parser's streaming mode.
+ *
+ * @callback recordHandler
+ * @memberof module:x2node-rsparser
+ * @param {Object} record Complete top record extracted from the result set.
+ */
+
 // export the class
 module.exports = ResultSetParser;
@@ -0,0 +1,469 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * SQL dialect.
+ *
+ * @typedef {Object} SQLDialect
+ * @memberof module:x2node-rsparser
+ * @property {function} quoteIdentifier Function that takes a table name, a
+ * column name or a column label and returns it quoted for use in the SQL.
+ */
+
+/**
+ * Built-in SQL dialects by name.
+ *
+ * @private
+ * @constant {Object.<string,module:x2node-rsparser~SQLDialect>}
+ */
+const DIALECTS = {
+	'mysql': {
+		quoteIdentifier(name) {
+			return '`' + name.replace(/`/g, '``') + '`';
+		}
+	},
+	'postgresql': {
+		quoteIdentifier(name) {
+			return '"' + name.replace(/"/g, '""') + '"';
+		}
+	},
+	'sqlite': {
+		quoteIdentifier(name) {
+			return '"' + name.replace(/"/g, '""') + '"';
+		}
+	}
+};
+
+/**
+ * Get string attribute of a property definition.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {string} attrName Attribute name.
+ * @param {boolean} required <code>true</code> if the attribute is required.
+ * @returns {?string} The attribute value, or <code>null</code> if not
+ * specified.
+ * @throws {module:x2node-common.X2UsageError} If the attribute is required but
+ * is not specified.
+ */
+function propAttr(propDesc, attrName, required) {
+
+	const val = propDesc.definition[attrName];
+	if ((val === undefined) || (val === null)) {
+		if (required)
+			throw new common.X2UsageError(
+				'Property ' + propDesc.container.nestedPath + propDesc.name +
+					' of record type ' +
+					String(propDesc.container.recordTypeName) +
+					' does not have ' + attrName + ' attribute required by' +
+					' the SQL generator.');
+		return null;
+	}
+
+	return val;
+}
+
+/**
+ * Get column name of a property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {string} The column name.
+ */
+function columnName(propDesc) {
+
+	return (propAttr(propDesc, 'column', false) || propDesc.name);
+}
+
+/**
+ * Create error for a polymorphic property in the markup.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {module:x2node-common.X2UsageError} The error.
+ */
+function polymorphicNotSupported(propDesc) {
+
+	return new common.X2UsageError(
+		'Polymorphic property ' + propDesc.container.nestedPath +
+			propDesc.name + ' of record type ' +
+			String(propDesc.container.recordTypeName) +
+			' is not supported by the SQL generator.');
+}
+
+/**
+ * SELECT statement builder.
+ *
+ * @private
+ * @memberof module:x2node-rsparser
+ * @inner
+ */
+class SelectBuilder {
+
+	constructor(recordTypes, markup, dialect) {
+
+		this._recordTypes = recordTypes;
+		this._markup = markup;
+		this._dialect = dialect;
+
+		this._numAliases = 0;
+		this._selectExprs = new Array();
+		this._joins = new Array();
+		this._orderByExprs = new Array();
+
+		// property paths by selected property column expressions
+		this._columnProperties = new Map();
+	}
+
+	/**
+	 * Build the statement.
+	 *
+	 * @param {Array.<Object>} columnInfos The parser's markup column
+	 * descriptions.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Top
+	 * record type descriptor.
+	 * @param {string} [whereClause] Optional WHERE clause expression.
+	 * @returns {string} The SQL.
+	 */
+	build(columnInfos, recordTypeDesc, whereClause) {
+
+		// build the columns tree
+		const topNodes = new Array();
+		const nodes = columnInfos.map(info => ({
+			colInd: info.colInd,
+			role: info.role,
+			propDesc: info.propDesc,
+			children: new Array()
+		}));
+		columnInfos.forEach((info, colInd) => {
+			if (info.parentColInd < 0)
+				topNodes.push(nodes[colInd]);
+			else
+				nodes[info.parentColInd].children.push(nodes[colInd]);
+		});
+
+		// add the top table and the columns
+		const alias = this._newAlias();
+		const fromTable = this._table(recordTypeDesc) + ' AS ' + alias;
+		this._addLevel(topNodes, {
+			alias: alias,
+			idExpr: this._col(alias, columnName(recordTypeDesc.getPropertyDesc(
+				recordTypeDesc.idPropertyName)))
+		});
+
+		// assemble the statement
+		const q = this._dialect.quoteIdentifier;
+		return 'SELECT\n' +
+			this._selectExprs.map((expr, colInd) => (
+				'    ' + expr + ' AS ' + q(this._markup[colInd]))
+			).join(',\n') +
+			'\nFROM\n    ' + fromTable +
+			this._joins.map(join => '\n    ' + join).join('') +
+			(whereClause ? '\nWHERE\n    ' + whereClause : '') +
+			'\nORDER BY\n    ' + this._orderByExprs.join(', ');
+	}
+
+	/**
+	 * Add columns on an object nesting level.
+	 *
+	 * @param {Array.<Object>} nodes The level column nodes.
+	 * @param {Object} ctx Level context with <code>alias</code> of the table
+	 * that has the object columns, <code>idExpr</code> that refers to the id of
+	 * the nearest object that has one and optional <code>columnPrefix</code>
+	 * for the columns of nested objects stored in the parent table.
+	 */
+	_addLevel(nodes, ctx) {
+
+		for (let node of nodes)
+			this._addNode(node, ctx);
+	}
+
+	/**
+	 * Add column and its nested columns.
+	 *
+	 * @param {Object} node The column node.
+	 * @param {Object} ctx Level context.
+	 */
+	_addNode(node, ctx) {
+
+		const propDesc = node.propDesc;
+		switch (node.role) {
+		case 'id':
+			this._selectExprs[node.colInd] = this._propertyCol(propDesc, ctx);
+			if (node.colInd === 0)
+				this._orderByExprs.push(this._selectExprs[0]);
+			break;
+		case 'value':
+		case 'ref':
+			this._selectExprs[node.colInd] = this._propertyCol(propDesc, ctx);
+			break;
+		case 'fetchedRef':
+			this._addFetchedRef(node, this._propertyCol(propDesc, ctx));
+			break;
+		case 'object':
+			this._addObject(node, ctx);
+			break;
+		case 'anchor':
+		case 'key':
+			this._addCollection(node, ctx);
+			break;
+		default: // polymorphic
+			throw polymorphicNotSupported(propDesc);
+		}
+	}
+
+	/**
+	 * Add fetched reference column, the join for the referred record and the
+	 * referred record columns. The column selects the id from the joined
+	 * referred record table, so that it is NULL if the referred record does
+	 * not exist.
+	 *
+	 * @param {Object} node The reference column node.
+	 * @param {string} refExpr Expression for the referred record id in the
+	 * referring table.
+	 */
+	_addFetchedRef(node, refExpr) {
+
+		const targetDesc = this._recordTypes.getRecordTypeDesc(
+			node.propDesc.refTarget);
+		const alias = this._newAlias();
+		const idExpr = this._col(alias, columnName(
+			targetDesc.getPropertyDesc(targetDesc.idPropertyName)));
+		this._joins.push(
+			'LEFT JOIN ' + this._table(targetDesc) + ' AS ' + alias + ' ON ' +
+				idExpr + ' = ' + refExpr);
+
+		this._selectExprs[node.colInd] = idExpr;
+
+		this._addLevel(node.children, {
+			alias: alias,
+			idExpr: idExpr
+		});
+	}
+
+	/**
+	 * Add nested object presence column and the nested object columns.
+	 *
+	 * @param {Object} node The nested object column node.
+	 * @param {Object} ctx Level context.
+	 */
+	_addObject(node, ctx) {
+
+		const propDesc = node.propDesc;
+
+		// object in its own table
+		const table = propAttr(propDesc, 'table', false);
+		if (table) {
+			const alias = this._newAlias();
+			const parentIdExpr = this._col(
+				alias, propAttr(propDesc, 'parentIdColumn', true));
+			this._joins.push(
+				'LEFT JOIN ' + this._dialect.quoteIdentifier(table) + ' AS ' +
+					alias + ' ON ' + parentIdExpr + ' = ' + ctx.idExpr);
+			this._selectExprs[node.colInd] = parentIdExpr;
+			this._addLevel(node.children, {
+				alias: alias,
+				idExpr: ctx.idExpr
+			});
+			return;
+		}
+
+		// object stored in the parent table
+		this._addLevel(node.children, {
+			alias: ctx.alias,
+			idExpr: ctx.idExpr,
+			columnPrefix: (ctx.columnPrefix || '') +
+				(propAttr(propDesc, 'columnPrefix', false) || '')
+		});
+		const valueNode = node.children.find(child => (
+			(child.role === 'id') || (child.role === 'value') ||
+				(child.role === 'ref')));
+		this._selectExprs[node.colInd] = (
+			propDesc.optional && valueNode ?
+				'CASE WHEN ' + this._selectExprs[valueNode.colInd] +
+					' IS NULL THEN NULL ELSE 1 END' :
+				'1');
+	}
+
+	/**
+	 * Add collection anchor column, the join for the collection table and the
+	 * element columns.
+	 *
+	 * @param {Object} node The anchor column node.
+	 * @param {Object} ctx Level context.
+	 */
+	_addCollection(node, ctx) {
+
+		const propDesc = node.propDesc;
+		if (propDesc.isPolymorphRef() || propDesc.isPolymorphObject())
+			throw polymorphicNotSupported(propDesc);
+
+		// join the collection table
+		const alias = this._newAlias();
+		const parentIdExpr = this._col(
+			alias, propAttr(propDesc, 'parentIdColumn', true));
+		this._joins.push(
+			'LEFT JOIN ' + this._dialect.quoteIdentifier(
+				propAttr(propDesc, 'table', true)) + ' AS ' + alias +
+				' ON ' + parentIdExpr + ' = ' + ctx.idExpr);
+
+		// determine the element id and key expressions
+		let elementIdExpr = null;
+		if (propDesc.scalarValueType === 'object') {
+			const idPropName = propDesc.nestedProperties.idPropertyName;
+			if (idPropName)
+				elementIdExpr = this._col(alias, columnName(
+					propDesc.nestedProperties.getPropertyDesc(idPropName)));
+		}
+		let keyExpr = null;
+		if (propDesc.isMap())
+			keyExpr = this._col(alias, (
+				propDesc.keyPropertyName ?
+					columnName(propDesc.nestedProperties.getPropertyDesc(
+						propDesc.keyPropertyName)) :
+					propAttr(propDesc, 'keyColumn', true)));
+
+		// object collection
+		if (propDesc.scalarValueType === 'object') {
+			const anchorExpr = (keyExpr || elementIdExpr);
+			this._selectExprs[node.colInd] = anchorExpr;
+			this._orderByExprs.push(anchorExpr);
+			this._addLevel(node.children, {
+				alias: alias,
+				idExpr: (elementIdExpr || ctx.idExpr)
+			});
+			return;
+		}
+
+		// simple value or reference collection
+		const valueExpr = this._col(alias, columnName(propDesc));
+		const child = node.children[0];
+		const anchorExpr = (
+			keyExpr || (child && (child.role === 'fetchedRef') ?
+				valueExpr : parentIdExpr));
+		this._selectExprs[node.colInd] = anchorExpr;
+		this._orderByExprs.push(anchorExpr);
+		if (child) {
+			if (child.role === 'fetchedRef')
+				this._addFetchedRef(child, valueExpr);
+			else
+				this._selectExprs[child.colInd] = valueExpr;
+		}
+	}
+
+	/**
+	 * Get quoted table name of a record type.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc The
+	 * record type descriptor.
+	 * @returns {string} The quoted table name.
+	 */
+	_table(recordTypeDesc) {
+
+		return this._dialect.quoteIdentifier(
+			recordTypeDesc.definition.table || recordTypeDesc.name);
+	}
+
+	/**
+	 * Get column expression for a property on an object nesting level and make
+	 * sure that no other property is mapped to the same column.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} ctx Level context.
+	 * @returns {string} The column expression.
+	 * @throws {module:x2node-common.X2UsageError} If the column is already
+	 * selected for another property.
+	 */
+	_propertyCol(propDesc, ctx) {
+
+		const expr = this._col(
+			ctx.alias, (ctx.columnPrefix || '') + columnName(propDesc));
+
+		const propPath = propDesc.container.nestedPath + propDesc.name;
+		const otherPropPath = this._columnProperties.get(expr);
+		if ((otherPropPath !== undefined) && (otherPropPath !== propPath))
+			throw new common.X2UsageError(
+				'Properties ' + otherPropPath + ' and ' + propPath +
+					' of record type ' +
+					String(propDesc.container.recordTypeName) +
+					' are mapped to the same column ' + expr + ', use column' +
+					' or columnPrefix attributes to tell them apart.');
+		this._columnProperties.set(expr, propPath);
+
+		return expr;
+	}
+
+	/**
+	 * Get column expression.
+	 *
+	 * @param {string} alias Table alias.
+	 * @param {string} column Column name.
+	 * @returns {string} The column expression.
+	 */
+	_col(alias, column) {
+
+		return alias + '.' + this._dialect.quoteIdentifier(column);
+	}
+
+	/**
+	 * Get new table alias.
+	 *
+	 * @returns {string} The alias.
+	 */
+	_newAlias() {
+
+		return 't' + (this._numAliases++);
+	}
+}
+
+/**
+ * Options for the SQL generator.
+ *
+ * @typedef {Object} SelectOptions
+ * @memberof module:x2node-rsparser
+ * @property {(string|module:x2node-rsparser~SQLDialect)} [dialect="mysql"]
+ * SQL dialect: "mysql", "postgresql", "sqlite" or a custom dialect object.
+ * @property {string} [where] SQL expression for the WHERE clause. The top
+ * record table alias is "t0".
+ */
+
+/**
+ * Build SELECT statement for the markup, with which the specified parser is
+ * initialized.
+ *
+ * @private
+ * @param {module:x2node-rsparser~ResultSetParser} parser Initialized parser.
+ * @param {module:x2node-rsparser~SelectOptions} [options] Generator options.
+ * @returns {string} The SQL.
+ * @throws {module:x2node-common.X2UsageError} If the options are invalid, the
+ * mapping attributes are missing in the record types library, properties are
+ * mapped to the same column or the markup includes polymorphic properties.
+ */
+function buildSelect(parser, options) {
+
+	const dialectOpt = ((options && options.dialect) || 'mysql');
+	const dialect = (
+		(typeof dialectOpt) === 'string' ? DIALECTS[dialectOpt] : dialectOpt);
+	if (!dialect || ((typeof dialect.quoteIdentifier) !== 'function'))
+		throw new common.X2UsageError(
+			'Invalid SQL dialect ' + String(dialectOpt) + '.');
+
+	const description = parser.describe();
+	const recordTypeDesc = parser.recordTypes.getRecordTypeDesc(
+		description.recordTypeName);
+
+	return (new SelectBuilder(
+		parser.recordTypes,
+		parser.columnInfos.map(info => info.markup),
+		dialect
+	)).build(parser.columnInfos, recordTypeDesc, options && options.where);
+}
+
+// export the generator function
+exports.buildSelect = buildSelect;
@@ -2,12 +2,1593 @@
 
 const expect = require('chai').expect;
 
+const common = require('x2node-common');
+const records = require('x2node-records');
+
 const rsparser = require('../index.js');
 
+const recordTypes = records.with(rsparser).buildLibrary({
+	'Person': {
+		properties: {
+			'id': {
+				valueType: 'number',
+				role: 'id'
+			},
+			'firstName': {
+				valueType: 'string'
+			},
+			'scores': {
+				valueType: 'number[]',
+				optional: true
+			}
+		}
+	},
+	'Account': {
+		table: 'accounts',
+		properties: {
+			'id': {
+				valueType: 'number',
+				role: 'id'
+			},
+			'address': {
+				valueType: 'object',
+				properties: {
+					'street': {
+						valueType: 'string'
+					},
+					'city': {
+						valueType: 'string'
+					}
+				}
+			},
+			'orderRefs': {
+				valueType: 'ref(Order)[]',
+				table: 'account_orders',
+				parentIdColumn: 'account_id',
+				column: 'order_id'
+			},
+			'tags': {
+				valueType: 'string[]'
+			}
+		}
+	},
+	'Order': {
+		properties: {
+			'id': {
+				valueType: 'number',
+				role: 'id'
+			},
+			'items': {
+				valueType: 'object[]',
+				table: 'order_items',
+				parentIdColumn: 'order_id',
+				properties: {
+					'id': {
+						valueType: 'number',
+						role: 'id'
+					},
+					'quantity': {
+						valueType: 'number'
+					},
+					'productRef': {
+						valueType: 'ref(Product)',
+						column: 'product_id'
+					}
+				}
+			}
+		}
+	},
+	'Product': {
+		properties: {
+			'id': {
+				valueType: 'number',
+				role: 'id'
+			},
+			'code': {
+				valueType: 'string',
+				valueExtractor: val => (val === null ? null : val.trim())
+			},
+			'prices': {
+				valueType: 'number{}',
+				keyValueType: 'string',
+				keyValueExtractor: val => (
+					val === null ? null : val.toLowerCase()),
+				valueExtractor: val => (
+					val === null ? null : Math.round(Number(val) * 100))
+			}
+		}
+	}
+});
+
+const MARKUP = [ 'id', 'firstName', 'scores', 'a$' ];
+const ROWS = [
+	[ 1, 'John', 1, 10 ],
+	[ 1, 'John', 2, 20 ],
+	[ 2, 'Jane', null, null ],
+	[ 3, 'Bill', 3, 30 ]
+];
+
 describe('x2node-rsparser', function() {
 	describe('.isSupported()', function() {
 		it('should return false for untagged object', function() {
 			expect(rsparser.isSupported({})).to.be.false;
 		});
 	});
+	describe('ResultSetParser', function() {
+		it('should stream complete records to the handler', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			const streamed = [];
+			parser.setRecordHandler(rec => { streamed.push(rec); });
+			ROWS.forEach(row => { parser.feedRow(row); });
+			expect(streamed.map(rec => rec.id)).to.eql([ 1, 2 ]);
+			parser.flush();
+			expect(streamed).to.eql([
+				{ id: 1, firstName: 'John', scores: [ 10, 20 ] },
+				{ id: 2, firstName: 'Jane' },
+				{ id: 3, firstName: 'Bill', scores: [ 30 ] }
+			]);
+			expect(parser.records).to.be.empty;
+		});
+	});
+	describe('ResultSetParser.initFromFields()', function() {
+		it('should take markup and SQL types from mysql fields', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.initFromFields([
+				{ name: 'id', type: 8 },
+				{ name: 'firstName', type: 253 },
+				{ name: 'scores', type: 16 },
+				{ name: 'a$', type: 16 }
+			]);
+			parser.feedRow([ 1, 'John', Buffer.from([ 1 ]), Buffer.from([ 1, 2 ]) ]);
+			parser.feedRow([ 2, 'Jane', null, null ]);
+			expect(parser.records).to.eql([
+				{ id: 1, firstName: 'John', scores: [ 258 ] },
+				{ id: 2, firstName: 'Jane' }
+			]);
+		});
+		it('should use extractors registered for pg and sqlite types', function() {
+			const options = {
+				valueExtractors: {
+					'sql:text': val => (val === null ? null : val.toUpperCase()),
+					'sql:varchar': val => (val === null ? null : val + '!')
+				}
+			};
+			const pgParser = rsparser.getResultSetParser(
+				recordTypes, 'Person', options);
+			pgParser.initFromFields([
+				{ name: 'id', dataTypeID: 20 },
+				{ name: 'firstName', dataTypeID: 25 }
+			]);
+			pgParser.feedRow({ id: '1', firstName: 'John' });
+			expect(pgParser.records).to.eql([ { id: 1, firstName: 'JOHN' } ]);
+			const sqliteParser = rsparser.getResultSetParser(
+				recordTypes, 'Person', options);
+			sqliteParser.initFromFields([
+				{ name: 'id', column: 'id', type: 'INTEGER' },
+				{ name: 'firstName', column: 'first_name', type: 'VARCHAR(20)' }
+			]);
+			sqliteParser.feedRow([ 1, 'John' ]);
+			expect(sqliteParser.records).to.eql([ { id: 1, firstName: 'John!' } ]);
+		});
+		it('should preprocess values when rows are parsed', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person', {
+				lenient: true,
+				unordered: true,
+				valueExtractors: {
+					'sql:varchar': val => {
+						if (val === 'bad')
+							throw new common.X2DataError('Bad name.');
+						return val;
+					}
+				}
+			});
+			parser.initFromFields([
+				{ name: 'id', type: 8 },
+				{ name: 'firstName', type: 253 },
+				{ name: 'scores', type: 16 },
+				{ name: 'a$', type: 16 }
+			]);
+			parser.feedRow([ 3, 'Bill', Buffer.from([ 1 ]), Buffer.from([ 0, 30 ]) ]);
+			parser.feedRow([ 1, 'bad', null, null ]);
+			parser.feedRow([ 3, 'Bill', Buffer.from([ 2 ]), Buffer.from([ 0, 31 ]) ]);
+			parser.feedRow([ 2, 'Jane', null, null ]);
+			expect(parser.records).to.eql([
+				{ id: 3, firstName: 'Bill', scores: [ 30, 31 ] },
+				{ id: 2, firstName: 'Jane' }
+			]);
+			expect(parser.errors).to.have.lengthOf(1);
+			expect(parser.errors[0]).to.include(
+				{ rowNum: 1, colInd: 1, topRecordId: 1 });
+			expect(parser.errors[0].error).to.include(
+				{ rowNum: 1, reason: 'invalidValue', rawValue: 'bad' });
+		});
+		it('should reject unrecognized field descriptors', function() {
+			expect(() => rsparser.getResultSetParser(recordTypes, 'Person')
+				.initFromFields([ { name: 'id' } ]))
+				.to.throw(/Unrecognized format of field id/);
+		});
+	});
+	describe('ResultSetParser.describe()', function() {
+		it('should describe markup interpretation', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Account');
+			parser.init([
+				'id', 'address', 'a$city', 'orderRefs:', 'b$id', 'b$items',
+				'ba$id'
+			]);
+			const description = parser.describe();
+			expect(description.recordTypeName).to.equal('Account');
+			expect(description.collectionAxis).to.eql([ 3, 5 ]);
+			expect(description.columns.map(col => col.colInd)).to.eql(
+				[ 0, 1, 3 ]);
+			const itemId = description.columns[2].children[0].children[0]
+				.children[0];
+			expect(itemId).to.eql({
+				colInd: 6,
+				markup: 'ba$id',
+				propertyPath: 'orderRefs.items.id',
+				role: 'id',
+				handler: 'SingleValueHandler',
+				anchorChain: [ 0, 3, 5 ],
+				children: []
+			});
+			expect(parser.explain().split('\n')[6]).to.equal(
+				'    5: b$items -> orderRefs.items' +
+					' [anchor, ObjectArrayAnchorHandler, anchors 0/3/5]');
+		});
+		it('should require initialized parser', function() {
+			expect(() => rsparser.getResultSetParser(
+				recordTypes, 'Person').describe()).to.throw(/not been init/);
+		});
+	});
+	describe('lenient mode', function() {
+		const rows = [
+			[ 1, 'John', 1, 10 ],
+			[ 2, null, 2, 20 ],
+			[ 2, 'Jane', 3, 30 ],
+			[ null, 'Nobody', null, null ],
+			[ 3, 'Bill', 4, 40 ]
+		];
+		function parse(options) {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Person', options);
+			parser.init(MARKUP);
+			rows.forEach(row => { parser.feedRow(row); });
+			return parser;
+		}
+		it('should quarantine bad records and collect errors', function() {
+			const parser = parse({ lenient: true });
+			expect(parser.records).to.eql([
+				{ id: 1, firstName: 'John', scores: [ 10 ] },
+				{ id: 3, firstName: 'Bill', scores: [ 40 ] }
+			]);
+			expect(parser.errors.map(e => [
+				e.rowNum, e.colInd, e.markup, e.topRecordId, e.record
+			])).to.eql([
+				[ 1, 1, 'firstName', 2, null ],
+				[ 3, 0, 'id', null, null ]
+			]);
+			expect(parser.errors[0].message).to.match(/not optional/);
+		});
+		it('should keep bad records if requested', function() {
+			const parser = parse({ lenient: true, badRecords: 'keep' });
+			expect(parser.records.map(rec => rec.id)).to.eql([ 1, 2, 3 ]);
+			expect(parser.errors[0].record).to.equal(parser.records[1]);
+		});
+		it('should throw if not lenient', function() {
+			expect(() => parse()).to.throw(/not optional/);
+		});
+		it('should expose error details', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			parser.feedRow([ 1, 'John', 1, 10 ]);
+			let err;
+			try {
+				parser.feedRow({ id: 2, firstName: '', scores: null, a$: null });
+				parser.feedRow({ id: 3, firstName: null, scores: null, a$: null });
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.include({
+				rowNum: 2,
+				colInd: 1,
+				markup: 'firstName',
+				propertyPath: 'firstName',
+				topRecordId: 3,
+				rawValue: null,
+				reason: 'nullNotOptional'
+			});
+			expect(() => parser.feedRow([ null, 'Jane', null, null ])).to.throw(
+				/top record id may not be null/).with.property(
+				'reason', 'nullTopRecordId');
+		});
+	});
+	describe('unordered mode', function() {
+		const rows = [
+			[ 3, 'Bill', 3, 30 ],
+			[ 1, 'John', 1, 10 ],
+			[ 3, 'Bill', 3, 31 ],
+			[ 2, 'Jane', null, null ],
+			[ 1, 'John', 1, 20 ]
+		];
+		it('should group rows by record id', function() {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Person', { unordered: true });
+			parser.init(MARKUP);
+			rows.forEach(row => { parser.feedRow(row); });
+			expect(parser.records).to.eql([
+				{ id: 3, firstName: 'Bill', scores: [ 30, 31 ] },
+				{ id: 1, firstName: 'John', scores: [ 10, 20 ] },
+				{ id: 2, firstName: 'Jane' }
+			]);
+		});
+		it('should reject rows after the results are read', function() {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Person', { unordered: true });
+			parser.init(MARKUP);
+			parser.feedRow(rows[0]);
+			expect(parser.records).to.have.lengthOf(1);
+			expect(() => parser.feedRow(rows[2]))
+				.to.throw(/cannot be fed to the parser after/);
+			parser.reset();
+			parser.feedRow(rows[2]);
+			expect(parser.records).to.eql(
+				[ { id: 3, firstName: 'Bill', scores: [ 31 ] } ]);
+		});
+		it('should reject non-contiguous rows if ordered', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			expect(() => rows.forEach(row => { parser.feedRow(row); }))
+				.to.throw(/appeared again.*ORDER BY/).with.property(
+					'reason', 'duplicateRecord');
+		});
+		it('should not track top record ids when streaming', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			const ids = new Array();
+			parser.setRecordHandler(rec => { ids.push(rec.id); });
+			rows.forEach(row => { parser.feedRow(row); });
+			parser.flush();
+			expect(ids).to.eql([ 3, 1, 3, 2, 1 ]);
+		});
+		it('should reject non-contiguous elements if ordered', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Order');
+			parser.init([ 'id', 'items', 'a$id', 'a$quantity' ]);
+			parser.feedRow([ 1, 1, 1, 5 ]);
+			parser.feedRow([ 1, 2, 2, 6 ]);
+			expect(() => parser.feedRow([ 1, 1, 1, 5 ]))
+				.to.throw(/element 1 of property items appeared again/)
+				.with.property('reason', 'duplicateElement');
+		});
+		it('should compare buffer and date element ids by value', function() {
+			const bagTypes = records.with(rsparser).buildLibrary({
+				'Bag': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'items': {
+							valueType: 'object[]',
+							properties: {
+								'id': {
+									valueType: 'string',
+									role: 'id',
+									extractorType: 'binary'
+								},
+								'tags': { valueType: 'string[]' }
+							}
+						},
+						'events': {
+							valueType: 'object[]',
+							properties: {
+								'at': {
+									valueType: 'string',
+									role: 'id',
+									extractorType: 'datetime'
+								},
+								'tags': { valueType: 'string[]' }
+							}
+						}
+					}
+				}
+			});
+			const parser = rsparser.getResultSetParser(bagTypes, 'Bag');
+			parser.init([ 'id', 'items', 'a$id', 'a$tags', 'aa$' ]);
+			parser.feedRow([ 1, Buffer.from('01', 'hex'),
+				Buffer.from('01', 'hex'), 1, 'a' ]);
+			parser.feedRow([ 1, Buffer.from('01', 'hex'),
+				Buffer.from('01', 'hex'), 2, 'b' ]);
+			parser.feedRow([ 1, Buffer.from('02', 'hex'),
+				Buffer.from('02', 'hex'), 3, 'c' ]);
+			expect(parser.records[0].items.map(item => item.tags)).to.eql(
+				[ [ 'a', 'b' ], [ 'c' ] ]);
+			expect(() => parser.feedRow([ 1, Buffer.from('01', 'hex'),
+				Buffer.from('01', 'hex'), 4, 'd' ]))
+				.to.throw(/element <Buffer 01> of property items appeared/)
+				.with.property('reason', 'duplicateElement');
+			const datesParser = rsparser.getResultSetParser(bagTypes, 'Bag', {
+				timeZone: 'UTC'
+			});
+			datesParser.init([ 'id', 'events', 'a$at', 'a$tags', 'aa$' ]);
+			datesParser.feedRow([ 1, new Date(1000), new Date(1000), 1, 'a' ]);
+			datesParser.feedRow([ 1, new Date(1000), new Date(1000), 2, 'b' ]);
+			expect(datesParser.records).to.eql([ {
+				id: 1,
+				events: [ { at: '1970-01-01T00:00:01.000Z', tags: [ 'a', 'b' ] } ]
+			} ]);
+		});
+	});
+	describe('fetched referred records', function() {
+		const markup = [
+			'id', 'orderRefs:', 'a$id', 'a$items', 'aa$id', 'aa$quantity',
+			'aa$productRef:', 'aaa$id', 'aaa$code'
+		];
+		const rows = [
+			[ 1, 11, 11, 1, 1, 5, 21, 21, 'A' ],
+			[ 1, 12, 12, 2, 2, 6, 21, 21, 'A' ],
+			[ 2, 11, 11, 1, 1, 5, 21, 21, 'A' ]
+		];
+		function parse(embedOptions) {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Account', { embedReferredRecords: embedOptions });
+			parser.init(markup);
+			rows.forEach(row => { parser.feedRow(row); });
+			return parser;
+		}
+		it('should replace references with shared records', function() {
+			const parser = parse(true);
+			const records = parser.records;
+			expect(records[0].orderRefs[0]).to.equal(
+				parser.referredRecords['Order#11']);
+			expect(records[1].orderRefs[0]).to.equal(records[0].orderRefs[0]);
+			expect(records[0].orderRefs[1]).to.eql({
+				id: 12,
+				items: [ { id: 2, quantity: 6, productRef: { id: 21, code: 'A' } } ]
+			});
+		});
+		it('should group referred records by type', function() {
+			const parser = parse(false);
+			expect(Object.keys(parser.referredRecordsByType)).to.eql(
+				[ 'Order', 'Product' ]);
+			expect(parser.getReferredRecord('Order', 12)).to.equal(
+				parser.referredRecords['Order#12']);
+			expect(parser.getReferredRecord('Order', 13)).to.be.null;
+			expect(parser.getReferredRecords('Product')).to.eql(
+				[ { id: 21, code: 'A' } ]);
+			expect(parser.getReferredRecords('Person')).to.eql([]);
+		});
+		it('should embed deep copies alongside references', function() {
+			const records = parse({
+				mode: 'alongside',
+				copy: 'deep',
+				properties: { 'orderRefs.items.productRef': false }
+			}).records;
+			expect(records[1]).to.eql({
+				id: 2,
+				orderRefs: [ 'Order#11' ],
+				orders: [ {
+					id: 11,
+					items: [ { id: 1, quantity: 5, productRef: 'Product#21' } ]
+				} ]
+			});
+			expect(records[1].orders[0]).to.not.equal(records[0].orders[0]);
+		});
+		it('should deep copy records built by object factory', function() {
+			class Rec {}
+			const parser = rsparser.getResultSetParser(recordTypes, 'Account', {
+				embedReferredRecords: { copy: 'deep' },
+				objectFactory: { newRecord: () => new Rec() }
+			});
+			parser.init(markup);
+			rows.forEach(row => { parser.feedRow(row); });
+			const order = parser.records[0].orderRefs[0];
+			const referredOrder = parser.referredRecords['Order#11'];
+			expect(order).to.be.an.instanceof(Rec);
+			expect(order).to.not.equal(referredOrder);
+			expect(order.items[0].productRef).to.be.an.instanceof(Rec);
+			expect(order.items[0].productRef).to.eql({ id: 21, code: 'A' });
+			expect(order.items).to.not.equal(referredOrder.items);
+			expect(referredOrder.items[0].productRef).to.equal('Product#21');
+		});
+		it('should not modify cached records when embedding', function() {
+			const cache = rsparser.createReferredRecordsCache();
+			function parsePage(pageRows) {
+				const parser = rsparser.getResultSetParser(
+					recordTypes, 'Account', {
+						referredRecordsCache: cache,
+						embedReferredRecords: true
+					});
+				parser.init(markup);
+				pageRows.forEach(row => { parser.feedRow(row); });
+				return parser.records;
+			}
+			const page1 = parsePage(rows.slice(0, 2));
+			const page2 = parsePage(rows.slice(2));
+			expect(cache.getRecord('Order#11').items[0].productRef)
+				.to.equal('Product#21');
+			expect(page2[0].orderRefs[0]).to.not.equal(
+				cache.getRecord('Order#11'));
+			expect(page1[0].orderRefs[0].items[0].productRef).to.eql(
+				{ id: 21, code: 'A' });
+			expect(page1[0].orderRefs[0].items[0].productRef).to.equal(
+				page1[0].orderRefs[1].items[0].productRef);
+		});
+		it('should reuse records from shared cache', function() {
+			const cache = rsparser.createReferredRecordsCache();
+			function parsePage(pageRows) {
+				const parser = rsparser.getResultSetParser(
+					recordTypes, 'Account', { referredRecordsCache: cache });
+				parser.init(markup);
+				pageRows.forEach(row => { parser.feedRow(row); });
+				return parser;
+			}
+			const order11 = parsePage(rows.slice(0, 2)).referredRecords['Order#11'];
+			const page2Row = [ 2, 11, 11, 1, 1, 99, 21, 21, 'B' ];
+			let parser = parsePage([ page2Row ]);
+			expect(parser.referredRecords['Order#11']).to.equal(order11);
+			expect(order11.items[0].quantity).to.equal(5);
+			cache.invalidate('Order', 11);
+			parser = parsePage([ page2Row ]);
+			expect(parser.referredRecords['Order#11']).to.not.equal(order11);
+			expect(parser.referredRecords['Order#11'].items[0].quantity)
+				.to.equal(99);
+			expect(parser.getReferredRecord('Product', 21).code).to.equal('A');
+			cache.clear();
+			expect(cache.getRecord('Product#21')).to.be.null;
+		});
+		it('should reject invalid cache', function() {
+			expect(() => rsparser.getResultSetParser(
+				recordTypes, 'Account', { referredRecordsCache: {} }))
+				.to.throw(/Invalid referredRecordsCache/);
+		});
+	});
+	describe('objectFactory option', function() {
+		class Product {}
+		const factory = {
+			newRecord: () => new Product(),
+			newMap: () => new Map(),
+			setMapElement: (map, key, val) => { map.set(key, val); },
+			getMapElement: (map, key) => map.get(key),
+			getMapKeys: map => Array.from(map.keys()),
+			completeRecord: rec => { Object.freeze(rec); }
+		};
+		it('should create objects using the hooks', function() {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Product', { objectFactory: factory });
+			parser.init([ 'id', 'code', 'prices', 'a$' ]);
+			parser.feedRow([ 1, 'AB', 'USD', '1.25' ]);
+			parser.feedRow([ 1, 'AB', 'EUR', '1.10' ]);
+			parser.feedRow([ 2, 'CD', null, null ]);
+			const records = parser.records;
+			expect(records[0]).to.be.an.instanceof(Product);
+			expect(Array.from(records[0].prices.entries())).to.eql(
+				[ [ 'usd', 125 ], [ 'eur', 110 ] ]);
+			expect(Object.isFrozen(records[0])).to.be.true;
+			expect(Object.isFrozen(records[1])).to.be.true;
+			expect(() => parser.merge(parser)).to.throw(/cannot be merged/);
+		});
+		it('should merge and flatten collections using the hooks', function() {
+			class List {
+				constructor() { this.items = []; }
+				push(item) { this.items.push(item); }
+			}
+			const options = {
+				objectFactory: Object.assign({}, factory, {
+					newArray: () => new List(),
+					getArrayElements: list => list.items,
+					completeRecord: undefined
+				})
+			};
+			function parse(recordTypeName, markup, rows) {
+				const parser = rsparser.getResultSetParser(
+					recordTypes, recordTypeName, options);
+				parser.init(markup);
+				rows.forEach(row => { parser.feedRow(row); });
+				return parser;
+			}
+			const markup = [ 'id', 'code', 'prices', 'a$' ];
+			const products1 = parse('Product', markup, [
+				[ 1, 'AB', 'USD', '1.25' ]
+			]);
+			const products2 = parse('Product', markup, [
+				[ 1, 'AB', 'USD', '1.25' ], [ 1, 'AB', 'EUR', '1.10' ]
+			]);
+			expect(() => products1.merge(products2, { onConflict: 'error' }))
+				.to.throw(/property prices for Product #1/);
+			products1.merge(products2);
+			const prices = products1.records[0].prices;
+			expect(Array.from(prices.entries())).to.eql(
+				[ [ 'usd', 125 ], [ 'eur', 110 ] ]);
+			expect(rsparser.flattenRecords(
+				recordTypes, 'Product', markup, products1.records, null,
+				options)).to.eql([
+				[ 1, 'AB', 'usd', 125 ], [ 1, 'AB', 'eur', 110 ]
+			]);
+			const persons1 = parse('Person', MARKUP, [ [ 1, 'John', 1, 10 ] ]);
+			persons1.merge(parse('Person', MARKUP, [
+				[ 1, 'John', 1, 10 ], [ 1, 'John', 2, 20 ]
+			]));
+			expect(persons1.records[0].scores.items).to.eql([ 10, 20 ]);
+		});
+		it('should merge objects without prototype', function() {
+			const options = { objectFactory: {
+				newRecord: () => Object.create(null),
+				newObject: () => Object.create(null),
+				newMap: () => Object.create(null)
+			} };
+			function parse(recordTypeName, markup, rows) {
+				const parser = rsparser.getResultSetParser(
+					recordTypes, recordTypeName, options);
+				parser.init(markup);
+				rows.forEach(row => { parser.feedRow(row); });
+				return parser;
+			}
+			const mergeOptions = { byId: true, onConflict: 'error' };
+			const orderMarkup = [ 'id', 'items', 'a$id', 'a$quantity' ];
+			const parser = parse(
+				'Order', orderMarkup, [ [ 1, 1, 1, 5 ], [ 2, 2, 2, 6 ] ]);
+			parser.merge(parse(
+				'Order', orderMarkup, [ [ 1, 1, 1, 5 ], [ 3, 3, 3, 7 ] ]),
+				mergeOptions);
+			expect(parser.records.map(rec => Object.assign({}, rec, {
+				items: rec.items.map(item => Object.assign({}, item))
+			}))).to.eql([
+				{ id: 1, items: [ { id: 1, quantity: 5 } ] },
+				{ id: 2, items: [ { id: 2, quantity: 6 } ] },
+				{ id: 3, items: [ { id: 3, quantity: 7 } ] }
+			]);
+			const productMarkup = [ 'id', 'prices', 'a$' ];
+			const productRows = [ [ 1, 'USD', '1.25' ], [ 1, 'EUR', '1.10' ] ];
+			const products = parse('Product', productMarkup, productRows);
+			products.merge(
+				parse('Product', productMarkup, productRows), mergeOptions);
+			expect(Object.assign({}, products.records[0].prices)).to.eql(
+				{ usd: 125, eur: 110 });
+			const nameOptions = Object.assign({}, options, {
+				valueExtractors: {
+					string: val => (val === null ? null :
+						Object.assign(Object.create(null), { name: val }))
+				}
+			});
+			const persons = [ 1, 2 ].map(() => {
+				const personParser = rsparser.getResultSetParser(
+					recordTypes, 'Person', nameOptions);
+				personParser.init([ 'id', 'firstName' ]);
+				personParser.feedRow([ 1, 'John' ]);
+				return personParser;
+			});
+			persons[0].merge(persons[1], mergeOptions);
+			expect(persons[0].records[0].firstName.name).to.equal('John');
+		});
+		it('should require all map access hooks', function() {
+			expect(() => rsparser.getResultSetParser(
+				recordTypes, 'Product', { objectFactory: {
+					newMap: () => new Map(),
+					setMapElement: (map, key, val) => { map.set(key, val); },
+					getMapElement: (map, key) => map.get(key)
+				} })).to.throw(/must be either all specified or all omitted/);
+		});
+		it('should reject hooks that are not functions', function() {
+			expect(() => rsparser.getResultSetParser(
+				recordTypes, 'Product', { objectFactory: { newMap: {} } }))
+				.to.throw(/newMap must be a function/);
+		});
+	});
+	describe('ResultSetParser.merge()', function() {
+		function parse(markup, rows) {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Order');
+			parser.init(markup);
+			rows.forEach(row => { parser.feedRow(row); });
+			return parser;
+		}
+		it('should merge by id', function() {
+			const parser1 = parse([ 'id', 'items', 'a$id', 'a$quantity' ], [
+				[ 1, 1, 11, 5 ], [ 1, 2, 12, 6 ], [ 2, 1, 21, 7 ]
+			]);
+			const parser2 = parse([ 'id', 'items', 'a$id', 'a$productRef' ], [
+				[ 3, 1, 31, 100 ], [ 1, 2, 13, 101 ], [ 1, 1, 11, 102 ]
+			]);
+			parser1.merge(parser2, { byId: true });
+			expect(parser1.records).to.eql([
+				{ id: 1, items: [
+					{ id: 11, quantity: 5, productRef: 'Product#102' },
+					{ id: 12, quantity: 6 },
+					{ id: 13, productRef: 'Product#101' }
+				] },
+				{ id: 2, items: [ { id: 21, quantity: 7 } ] },
+				{ id: 3, items: [ { id: 31, productRef: 'Product#100' } ] }
+			]);
+		});
+		it('should apply missing records policy', function() {
+			const parser1 = parse([ 'id' ], [ [ 1 ], [ 2 ] ]);
+			parser1.merge(parse([ 'id' ], [ [ 3 ] ]), {
+				byId: true,
+				missing: 'skip'
+			});
+			expect(parser1.records.map(rec => rec.id)).to.eql([ 1, 2 ]);
+			expect(() => parser1.merge(parse([ 'id' ], [ [ 2 ], [ 1 ] ]), {
+				byId: true,
+				missing: 'error'
+			})).to.not.throw();
+			expect(() => parser1.merge(parse([ 'id' ], [ [ 1 ] ]), {
+				byId: true,
+				missing: 'error'
+			})).to.throw(/id 2 is missing/);
+		});
+		it('should apply conflict policy', function() {
+			const markup = [ 'id', 'items', 'a$id', 'a$quantity' ];
+			const parser1 = parse(markup, [ [ 1, 1, 11, 5 ], [ 1, 2, 12, 6 ] ]);
+			const parser2 = parse(markup, [ [ 1, 1, 11, 5 ], [ 1, 2, 12, 7 ] ]);
+			expect(() => parser1.merge(parser2, {
+				onConflict: 'error'
+			})).to.throw(
+				/property items.quantity for Order #1/);
+			const conflicts = [];
+			parser1.merge(parser2, {
+				onConflict: (val1, val2, conflict) => {
+					conflicts.push(conflict);
+					return val1 + val2;
+				}
+			});
+			expect(parser1.records[0].items[1].quantity).to.equal(13);
+			expect(conflicts).to.eql([ {
+				recordTypeName: 'Order',
+				recordId: 1,
+				propertyPath: 'items.quantity'
+			} ]);
+		});
+	});
+	describe('.createRecordStream()', function() {
+		it('should transform rows into records', function(done) {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			const stream = rsparser.createRecordStream(parser);
+			const streamed = [];
+			stream.on('data', rec => { streamed.push(rec); });
+			stream.on('end', () => {
+				expect(streamed.map(rec => rec.id)).to.eql([ 1, 2, 3 ]);
+				done();
+			});
+			ROWS.forEach(row => { stream.write(row); });
+			stream.end();
+		});
+	});
+	describe('.parseAsync()', function() {
+		it('should iterate records from async rows', async function() {
+			async function* rows() {
+				for (let row of ROWS)
+					yield row;
+			}
+			const iter = rsparser.parseAsync(
+				recordTypes, 'Person', MARKUP, rows());
+			const ids = [];
+			for await (let rec of iter)
+				ids.push(rec.id);
+			expect(ids).to.eql([ 1, 2, 3 ]);
+			expect(iter.referredRecords).to.eql({});
+		});
+		it('should iterate records from sync rows', async function() {
+			const ids = [];
+			for await (let rec of rsparser.parseAsync(
+				recordTypes, 'Person', MARKUP, ROWS))
+				ids.push(rec.id);
+			expect(ids).to.eql([ 1, 2, 3 ]);
+		});
+	});
+	describe('.createParserContext()', function() {
+		it('should scope value extractors to the context', function() {
+			const ctx = rsparser.createParserContext({
+				valueExtractors: {
+					'string': val => (val === null ? null : String(val) + '!')
+				}
+			});
+			const parser = ctx.getResultSetParser(recordTypes, 'Person');
+			parser.init(MARKUP);
+			parser.feedRow(ROWS[2]);
+			expect(parser.records[0].firstName).to.equal('Jane!');
+			expect(rsparser.extractValue('string', 'Jane')).to.equal('Jane');
+			expect(ctx.extractValue('number', '12')).to.equal(12);
+		});
+		it('should accept per parser value extractors', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Person', {
+				valueExtractors: {
+					'number': val => (val === null ? null : Number(val) * 2)
+				}
+			});
+			parser.init(MARKUP);
+			parser.feedRow(ROWS[2]);
+			expect(parser.records[0].id).to.equal(4);
+		});
+	});
+	describe('valueExtractor attribute', function() {
+		it('should take precedence over type extractor', function() {
+			const parser = rsparser.getResultSetParser(recordTypes, 'Product');
+			parser.init([ 'id', 'code', 'prices', 'a$' ]);
+			parser.feedRow([ 1, 'AB  ', 'USD', '1.25' ]);
+			parser.feedRow([ 1, 'AB  ', 'EUR', '1.10' ]);
+			expect(parser.records).to.eql([
+				{ id: 1, code: 'AB', prices: { usd: 125, eur: 110 } }
+			]);
+		});
+		it('should be a function', function() {
+			expect(() => records.with(rsparser).buildLibrary({
+				'Bad': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id',
+							valueExtractor: 'number'
+						}
+					}
+				}
+			})).to.throw(/valueExtractor attribute is not a function/);
+		});
+	});
+	describe('extractorType attribute', function() {
+		const typesLibrary = records.with(rsparser).buildLibrary({
+			'Document': {
+				properties: {
+					'id': { valueType: 'string', role: 'id', extractorType: 'bigint' },
+					'amount': { valueType: 'string', extractorType: 'decimal' },
+					'uuid': { valueType: 'string', extractorType: 'binary' },
+					'attrs': { valueType: 'string', extractorType: 'json' },
+					'day': { valueType: 'string', extractorType: 'date' },
+					'at': { valueType: 'string', extractorType: 'time' },
+					'totals': { valueType: 'string{}', keyValueType: 'date' },
+					'custom': { valueType: 'string', extractorType: 'nope' }
+				}
+			}
+		});
+		it('should use extractors for the specified types', function() {
+			const parser = rsparser.getResultSetParser(typesLibrary, 'Document');
+			parser.init([
+				'id', 'amount', 'uuid', 'attrs', 'day', 'at', 'totals', 'a$'
+			]);
+			const row = [
+				'9007199254740993', '12.50', Buffer.from([ 0xab, 0x01 ]),
+				'{"a":[1]}', new Date(2024, 0, 5), new Date(2024, 0, 5, 7, 8, 9)
+			];
+			parser.feedRow(row.concat([ new Date(2024, 0, 5), '1.10' ]));
+			parser.feedRow(row.concat([ '2024-01-06', '2.20' ]));
+			expect(parser.records).to.eql([ {
+				id: '9007199254740993',
+				amount: '12.50',
+				uuid: 'ab01',
+				attrs: { a: [ 1 ] },
+				day: '2024-01-05',
+				at: '07:08:09',
+				totals: { '2024-01-05': '1.10', '2024-01-06': '2.20' }
+			} ]);
+		});
+		it('should require registered extractor type', function() {
+			expect(() => rsparser.getResultSetParser(typesLibrary, 'Document')
+				.init([ 'id', 'custom' ]))
+				.to.throw(/No value extractor for type nope/);
+		});
+		it('should reject invalid map key value type', function() {
+			[ 'datetimes', 'string2', 'xref(Document)' ].forEach(
+				keyValueType => {
+					expect(() => records.with(rsparser).buildLibrary({
+						'Document': {
+							properties: {
+								'id': { valueType: 'number', role: 'id' },
+								'totals': {
+									valueType: 'string{}',
+									keyValueType: keyValueType
+								}
+							}
+						}
+					})).to.throw(/invalid keyValueType/);
+				});
+		});
+		it('should check key property extractor type', function() {
+			function buildLibrary(extractorType) {
+				return records.with(rsparser).buildLibrary({
+					'Document': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'entries': {
+								valueType: 'object{}',
+								keyPropertyName: 'key',
+								properties: {
+									'key': {
+										valueType: 'string',
+										extractorType: extractorType
+									},
+									'value': { valueType: 'string' }
+								}
+							}
+						}
+					}
+				});
+			}
+			expect(buildLibrary('date').getRecordTypeDesc('Document')
+				.getPropertyDesc('entries').keyValueType).to.equal('date');
+			expect(() => buildLibrary('json')).to.throw(
+				/key property key extractor type json is not allowed/);
+		});
+	});
+	describe('datetime extractor', function() {
+		const tzLibrary = records.with(rsparser).buildLibrary({
+			'Event': {
+				properties: {
+					'id': { valueType: 'number', role: 'id' },
+					'at': { valueType: 'datetime' },
+					'localAt': {
+						valueType: 'datetime',
+						timeZone: 'Asia/Tokyo',
+						optional: true
+					}
+				}
+			}
+		});
+		function parse(rows, options) {
+			const parser = rsparser.getResultSetParser(
+				tzLibrary, 'Event', options);
+			parser.init([ 'id', 'at', 'localAt' ]);
+			rows.forEach(row => { parser.feedRow(row); });
+			return parser.records;
+		}
+		it('should accept dates, strings and epoch numbers', function() {
+			const records = parse([
+				[ 1, new Date(Date.UTC(2024, 0, 5, 10)), '2024-07-01 09:00:00' ],
+				[ 2, '2024-01-05 10:00:00.5', '2024-01-05T10:00:00+01:00' ],
+				[ 3, 1704448800, null ],
+				[ 4, 1704448800000, '2024-01-05' ]
+			], { timeZone: '-02:00' });
+			expect(records.map(rec => [ rec.at, rec.localAt ])).to.eql([
+				[ '2024-01-05T10:00:00.000Z', '2024-07-01T00:00:00.000Z' ],
+				[ '2024-01-05T12:00:00.500Z', '2024-01-05T09:00:00.000Z' ],
+				[ '2024-01-05T10:00:00.000Z', undefined ],
+				[ '2024-01-05T10:00:00.000Z', '2024-01-04T15:00:00.000Z' ]
+			]);
+		});
+		it('should report unparseable values', function() {
+			expect(() => parse([ [ 1, '2024-02-30 10:00:00', null ] ]))
+				.to.throw(/Invalid datetime value 2024-02-30 10:00:00/)
+				.with.property('reason', 'invalidValue');
+		});
+		it('should report values out of the date range', function() {
+			expect(() => parse([ [ 1, 1e20, null ] ]))
+				.to.throw(/Invalid datetime value 100000000000000000000/)
+				.with.property('reason', 'invalidValue');
+			const parser = rsparser.getResultSetParser(
+				tzLibrary, 'Event', { lenient: true });
+			parser.init([ 'id', 'at', 'localAt' ]);
+			parser.feedRow([ 1, '-9000000000000000', null ]);
+			parser.feedRow([ 2, 1704448800, null ]);
+			expect(parser.records.map(rec => rec.id)).to.eql([ 2 ]);
+			expect(parser.errors).to.have.lengthOf(1);
+			expect(parser.errors[0].colInd).to.equal(1);
+		});
+		it('should validate time zones', function() {
+			expect(() => rsparser.getResultSetParser(
+				tzLibrary, 'Event', { timeZone: 'Nowhere/Never' }))
+				.to.throw(/Invalid timeZone option/);
+		});
+	});
+	describe('strict mode', function() {
+		function parser(options) {
+			const parser = rsparser.getResultSetParser(
+				recordTypes, 'Person', options);
+			parser.init(MARKUP);
+			return parser;
+		}
+		it('should reject NaN values', function() {
+			parser().feedRow([ 1, 'John', 1, 'abc' ]);
+			expect(() => parser({ strict: true }).feedRow([ 1, 'John', 1, 'abc' ]))
+				.to.throw(/Invalid extracted value NaN for number property scores/)
+				.with.property('markup', 'a$');
+		});
+		it('should reject undefined and wrong type raw values', function() {
+			expect(() => parser({ strict: true }).feedRow({ id: 1 }))
+				.to.throw(/Invalid raw value undefined for string property firstName/)
+				.with.property('reason', 'invalidValue');
+			expect(() => parser({ strict: true }).feedRow(
+				[ Buffer.from([ 0 ]), 'John', null, null ]))
+				.to.throw(/Invalid raw value <Buffer 00> for number property id/);
+		});
+		it('should accept BigInt raw values', function() {
+			if ((typeof BigInt) === 'undefined')
+				this.skip();
+			const p = parser({ strict: true });
+			p.feedRow([ BigInt(1), BigInt(2), 1, BigInt(5) ]);
+			expect(p.records).to.eql(
+				[ { id: 1, firstName: '2', scores: [ 5 ] } ]);
+		});
+		it('should collect errors in lenient mode', function() {
+			const p = parser({ strict: true, lenient: true });
+			p.feedRow([ 1, 'John', 1, 'abc' ]);
+			p.feedRow([ 2, 'Jane', null, null ]);
+			expect(p.records).to.eql([ { id: 2, firstName: 'Jane' } ]);
+			expect(p.errors.map(err => err.colInd)).to.eql([ 3 ]);
+		});
+	});
+	describe('booleanEncoding', function() {
+		const flagsLibrary = records.with(rsparser).buildLibrary({
+			'Flag': {
+				properties: {
+					'id': { valueType: 'number', role: 'id' },
+					'active': { valueType: 'boolean' },
+					'legacy': { valueType: 'boolean', booleanEncoding: 'YN' }
+				}
+			}
+		});
+		function parse(rows, options) {
+			const parser = rsparser.getResultSetParser(
+				flagsLibrary, 'Flag', options);
+			parser.init([ 'id', 'active', 'legacy' ]);
+			rows.forEach(row => { parser.feedRow(row); });
+			return parser.records;
+		}
+		it('should decode parser and property encodings', function() {
+			const records = parse([
+				[ 1, Buffer.from([ 0 ]), 'y' ],
+				[ 2, Buffer.from([ 1 ]), 'N ' ],
+				[ 3, 'F', 'Y' ],
+				[ 4, 't', true ]
+			], { booleanEncoding: 'TF' });
+			expect(records.map(rec => [ rec.active, rec.legacy ])).to.eql([
+				[ false, true ], [ true, false ], [ false, true ], [ true, true ]
+			]);
+		});
+		it('should reject unrecognized values', function() {
+			expect(() => parse([ [ 1, 1, 'X' ] ]))
+				.to.throw(/Invalid Boolean value X/)
+				.with.property('propertyPath', 'legacy');
+			expect(() => parse([ [ 1, '1', 'Y' ] ], {
+				booleanEncoding: { trueValues: [ 'on' ], falseValues: [ 'off' ] }
+			})).to.throw(/Invalid Boolean value 1/);
+		});
+		it('should validate encodings', function() {
+			expect(() => rsparser.getResultSetParser(
+				flagsLibrary, 'Flag', { booleanEncoding: 'yes' }))
+				.to.throw(/Invalid booleanEncoding option/);
+			[
+				{ trueValues: [], falseValues: [ 'N' ] },
+				{ trueValues: [ 'Y' ], falseValues: [] },
+				{ trueValues: [ 'Y', 'n ' ], falseValues: [ 'N' ] },
+				{ trueValues: [ 1 ], falseValues: [ 0, 1 ] },
+				{ trueValues: [ true ], falseValues: [ false ] },
+				{ trueValues: [ 'Y' ], falseValues: [ null ] },
+				{ trueValues: [ NaN ], falseValues: [ 0 ] }
+			].forEach(encoding => {
+				expect(() => rsparser.getResultSetParser(
+					flagsLibrary, 'Flag', { booleanEncoding: encoding }))
+					.to.throw(/Invalid booleanEncoding option/);
+			});
+			expect(() => rsparser.getResultSetParser(
+				flagsLibrary, 'Flag', { booleanEncoding: {
+					trueValues: [ 'Y' ], falseValues: [ 'y' ], ignoreCase: false
+				} })).not.to.throw();
+		});
+	});
+	describe('.createMultiAxisQuery()', function() {
+		const paths = [ 'address.city', 'orderRefs', 'tags' ];
+		const rowSets = [
+			[
+				[ 1, 1, 'Boston', 11, 11 ],
+				[ 1, 1, 'Boston', 12, 12 ],
+				[ 2, 1, 'Denver', null, null ]
+			],
+			[ [ 2, 'b', 'b' ], [ 1, 'a', 'a' ] ]
+		];
+		const expected = [
+			{ id: 1, address: { city: 'Boston' },
+				orderRefs: [ 'Order#11', 'Order#12' ], tags: [ 'a' ] },
+			{ id: 2, address: { city: 'Denver' }, tags: [ 'b' ] }
+		];
+		it('should split properties by collection axis', function() {
+			const query = rsparser.createMultiAxisQuery(
+				recordTypes, 'Account', paths);
+			expect(query.axes.map(axis => axis.markup)).to.eql([
+				[ 'id', 'address', 'a$city', 'orderRefs', 'b$' ],
+				[ 'id', 'tags', 'a$' ]
+			]);
+			expect(query.parse(rowSets)).to.eql({
+				records: expected,
+				referredRecords: {}
+			});
+		});
+		it('should parse async row sources', async function() {
+			async function* rows(rowSet) {
+				for (let row of rowSet)
+					yield row;
+			}
+			const query = rsparser.createMultiAxisQuery(
+				recordTypes, 'Account', paths);
+			const result = await query.parseAsync(rowSets.map(rows));
+			expect(result.records).to.eql(expected);
+		});
+		it('should keep single axis selections in one markup', function() {
+			const query = rsparser.createMultiAxisQuery(
+				recordTypes, 'Order', [ 'items.productRef:.prices' ]);
+			expect(query.axes.map(axis => axis.markup)).to.eql([
+				rsparser.buildMarkup(
+					recordTypes, 'Order', [ 'items.productRef:.prices' ]).markup
+			]);
+		});
+		it('should split fetched reference collections', function() {
+			const query = rsparser.createMultiAxisQuery(
+				recordTypes, 'Account', [ 'orderRefs:.items', 'tags' ]);
+			expect(query.axes.map(axis => axis.markup)).to.eql([
+				[ 'id', 'orderRefs:', 'a$id', 'a$items', 'aa$id',
+					'aa$quantity', 'aa$productRef' ],
+				[ 'id', 'tags', 'a$' ]
+			]);
+		});
+		it('should split nested collections and maps', function() {
+			const storeTypes = records.with(rsparser).buildLibrary({
+				'Store': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'name': { valueType: 'string' },
+						'departments': {
+							valueType: 'object[]',
+							properties: {
+								'id': { valueType: 'number', role: 'id' },
+								'name': { valueType: 'string' },
+								'staff': { valueType: 'string[]' },
+								'shelves': { valueType: 'number[]' }
+							}
+						},
+						'hours': {
+							valueType: 'string{}',
+							keyValueType: 'string'
+						},
+						'tags': { valueType: 'string[]' }
+					}
+				}
+			});
+			const query = rsparser.createMultiAxisQuery(storeTypes, 'Store', [
+				'name', 'departments.name', 'departments.staff',
+				'departments.shelves', 'hours', 'tags'
+			]);
+			expect(query.axes.map(axis => axis.markup)).to.eql([
+				[ 'id', 'name', 'departments', 'a$id', 'a$name', 'a$staff',
+					'aa$' ],
+				[ 'id', 'departments', 'a$id', 'a$shelves', 'aa$' ],
+				[ 'id', 'hours', 'a$' ],
+				[ 'id', 'tags', 'a$' ]
+			]);
+			expect(query.parse([
+				[
+					[ 1, 'Main', 1, 1, 'Food', 1, 'Ann' ],
+					[ 1, 'Main', 1, 1, 'Food', 2, 'Bob' ],
+					[ 1, 'Main', 2, 2, 'Toys', 3, 'Cy' ]
+				],
+				[ [ 1, 1, 1, 1, 10 ], [ 1, 1, 1, 2, 20 ], [ 1, 2, 2, 3, 30 ] ],
+				[ [ 1, 'mon', '9-18' ], [ 1, 'sat', '10-14' ] ],
+				[ [ 1, 1, 'big' ] ]
+			]).records).to.eql([ {
+				id: 1,
+				name: 'Main',
+				departments: [
+					{ id: 1, name: 'Food', staff: [ 'Ann', 'Bob' ],
+						shelves: [ 10, 20 ] },
+					{ id: 2, name: 'Toys', staff: [ 'Cy' ], shelves: [ 30 ] }
+				],
+				hours: { mon: '9-18', sat: '10-14' },
+				tags: [ 'big' ]
+			} ]);
+		});
+	});
+	describe('.flattenRecords()', function() {
+		it('should produce rows the parser turns back into records', function() {
+			const markup = [
+				'id', 'address', 'a$city', 'orderRefs:', 'b$id', 'b$items',
+				'ba$id', 'ba$quantity'
+			];
+			const accounts = [
+				{ id: 1, address: { city: 'Boston' },
+					orderRefs: [ 'Order#11', 'Order#12' ] },
+				{ id: 2, address: { city: 'Denver' } }
+			];
+			const orders = {
+				'Order#11': { id: 11, items: [
+					{ id: 1, quantity: 5 }, { id: 2, quantity: 6 }
+				] },
+				'Order#12': { id: 12, items: [ { id: 3, quantity: 7 } ] }
+			};
+			const rows = rsparser.flattenRecords(
+				recordTypes, 'Account', markup, accounts, orders);
+			expect(rows).to.eql([
+				[ 1, 1, 'Boston', 11, 11, 1, 1, 5 ],
+				[ 1, 1, 'Boston', 11, 11, 2, 2, 6 ],
+				[ 1, 1, 'Boston', 12, 12, 3, 3, 7 ],
+				[ 2, 1, 'Denver', null, null, null, null, null ]
+			]);
+			const parser = rsparser.getResultSetParser(recordTypes, 'Account');
+			parser.init(markup);
+			rows.forEach(row => { parser.feedRow(row); });
+			expect(parser.records).to.eql(accounts);
+			expect(parser.referredRecords).to.eql(orders);
+		});
+		const shopTypes = records.with(rsparser).buildLibrary({
+			'Shop': {
+				properties: {
+					'id': { valueType: 'number', role: 'id' },
+					'open': { valueType: 'boolean' },
+					'active': { valueType: 'boolean', booleanEncoding: 'YN' },
+					'since': { valueType: 'datetime' },
+					'code': { valueType: 'string', extractorType: 'bigint' },
+					'amount': { valueType: 'string', extractorType: 'decimal' },
+					'uuid': { valueType: 'string', extractorType: 'binary' },
+					'attrs': { valueType: 'string', extractorType: 'json' },
+					'day': { valueType: 'string', extractorType: 'date' },
+					'at': { valueType: 'string', extractorType: 'time' },
+					'manager': {
+						valueType: 'object',
+						optional: true,
+						properties: {
+							'name': { valueType: 'string' }
+						}
+					},
+					'payment': {
+						valueType: 'object',
+						optional: true,
+						typePropertyName: 'kind',
+						subtypes: {
+							'CARD': {
+								properties: {
+									'last4': { valueType: 'string' }
+								}
+							},
+							'CASH': {
+								properties: {
+									'amount': { valueType: 'number' }
+								}
+							}
+						}
+					},
+					'ownerRef': {
+						valueType: 'ref(Person|Product)',
+						optional: true
+					},
+					'tags': { valueType: 'string[]', optional: true },
+					'checks': {
+						valueType: 'boolean[]',
+						optional: true,
+						booleanEncoding: {
+							trueValues: [ 'yes' ], falseValues: [ 'no' ]
+						}
+					},
+					'stock': {
+						valueType: 'number{}',
+						keyValueType: 'ref(Product)',
+						optional: true
+					},
+					'totals': {
+						valueType: 'number{}',
+						keyValueType: 'date',
+						optional: true
+					},
+					'flags': {
+						valueType: 'boolean{}',
+						keyValueType: 'number',
+						optional: true
+					}
+				}
+			},
+			'Person': {
+				properties: {
+					'id': { valueType: 'number', role: 'id' }
+				}
+			},
+			'Product': {
+				properties: {
+					'id': { valueType: 'number', role: 'id' }
+				}
+			}
+		});
+		function roundTrip(propPaths, shops) {
+			const markup = rsparser.buildMarkup(
+				shopTypes, 'Shop', propPaths).markup;
+			const parser = rsparser.getResultSetParser(
+				shopTypes, 'Shop', { strict: true });
+			parser.init(markup);
+			const rows = rsparser.flattenRecords(
+				shopTypes, 'Shop', markup, shops);
+			rows.forEach(row => { parser.feedRow(row); });
+			expect(parser.records).to.eql(shops);
+			return rows.map(row => markup.reduce((values, col, i) => {
+				values[col] = row[i];
+				return values;
+			}, {}));
+		}
+		it('should round trip value types and nested objects', function() {
+			const rows = roundTrip([
+				'open', 'since', 'code', 'amount', 'uuid', 'attrs', 'day', 'at',
+				'manager.name', 'payment', 'ownerRef'
+			], [ {
+				id: 1,
+				open: true,
+				since: '2024-01-05T10:00:00.000Z',
+				code: '9007199254740993',
+				amount: '12.50',
+				uuid: 'ab01',
+				attrs: { a: [ 1 ] },
+				day: '2024-01-05',
+				at: '07:08:09',
+				manager: { name: 'Ann' },
+				payment: { kind: 'CARD', last4: '1234' },
+				ownerRef: 'Product#7'
+			}, {
+				id: 2,
+				open: false,
+				since: '2024-01-06T10:00:00.000Z',
+				code: '1',
+				amount: '0.10',
+				uuid: '00',
+				attrs: [],
+				day: '2024-01-06',
+				at: '23:00:00',
+				payment: { kind: 'CASH', amount: 5 },
+				ownerRef: 'Person#3'
+			} ]);
+			expect(rows[0]).to.include({
+				open: true,
+				code: '9007199254740993',
+				attrs: '{"a":[1]}',
+				day: '2024-01-05'
+			});
+			expect(rows[0].since).to.eql(new Date('2024-01-05T10:00:00.000Z'));
+			expect(rows[0].uuid).to.eql(Buffer.from([ 0xab, 0x01 ]));
+		});
+		it('should round trip simple value collections', function() {
+			const shops = [
+				{ id: 1, tags: [ 'a', 'b', 'a' ] },
+				{ id: 2 }
+			];
+			roundTrip([ 'tags' ], shops);
+			roundTrip([ 'stock' ], [
+				{ id: 1, stock: { 'Product#7': 3, 'Product#8': 0 } },
+				{ id: 2 }
+			]);
+			roundTrip([ 'totals' ], [
+				{ id: 1, totals: { '2024-01-05': 1.5, '2024-01-06': 2 } }
+			]);
+			roundTrip([ 'flags' ], [
+				{ id: 1, flags: { '1': true, '2': false } }
+			]);
+		});
+		it('should round trip null collection elements', function() {
+			const rows = roundTrip([ 'tags' ], [
+				{ id: 1, tags: [ 'a', null, 'b' ] }
+			]);
+			expect(rows.map(row => row.a$)).to.eql([ 'a', null, 'b' ]);
+		});
+		it('should round trip encoded Boolean values', function() {
+			const rows = roundTrip([ 'active', 'checks' ], [
+				{ id: 1, active: true, checks: [ true, false ] },
+				{ id: 2, active: false }
+			]);
+			expect(rows.map(row => [ row.active, row.a$ ])).to.eql([
+				[ 'Y', 'yes' ], [ 'Y', 'no' ], [ 'N', null ]
+			]);
+		});
+	});
+	describe('.buildSelect()', function() {
+		it('should build SELECT with joins and anchor ordering', function() {
+			const res = rsparser.buildSelect(recordTypes, 'Account', [
+				'address.city', 'orderRefs.items.productRef:'
+			], { dialect: 'postgresql' });
+			expect(res.markup).to.eql([
+				'id', 'address', 'a$city',
+				'orderRefs:', 'b$id', 'b$items', 'ba$id', 'ba$productRef:',
+				'baa$id', 'baa$code'
+			]);
+			expect(res.sql).to.equal(
+				'SELECT\n' +
+				'    t0."id" AS "id",\n' +
+				'    1 AS "address",\n' +
+				'    t0."city" AS "a$city",\n' +
+				'    t1."order_id" AS "orderRefs:",\n' +
+				'    t2."id" AS "b$id",\n' +
+				'    t3."id" AS "b$items",\n' +
+				'    t3."id" AS "ba$id",\n' +
+				'    t4."id" AS "ba$productRef:",\n' +
+				'    t4."id" AS "baa$id",\n' +
+				'    t4."code" AS "baa$code"\n' +
+				'FROM\n' +
+				'    "accounts" AS t0\n' +
+				'    LEFT JOIN "account_orders" AS t1' +
+				' ON t1."account_id" = t0."id"\n' +
+				'    LEFT JOIN "Order" AS t2 ON t2."id" = t1."order_id"\n' +
+				'    LEFT JOIN "order_items" AS t3' +
+				' ON t3."order_id" = t2."id"\n' +
+				'    LEFT JOIN "Product" AS t4' +
+				' ON t4."id" = t3."product_id"\n' +
+				'ORDER BY\n' +
+				'    t0."id", t1."order_id", t3."id"');
+		});
+		const siteTypes = records.with(rsparser).buildLibrary({
+			'Site': {
+				table: 'sites',
+				properties: {
+					'id': { valueType: 'number', role: 'id' },
+					'billing': {
+						valueType: 'object',
+						properties: {
+							'street': { valueType: 'string' }
+						}
+					},
+					'shipping': {
+						valueType: 'object',
+						optional: true,
+						columnPrefix: 'ship_',
+						properties: {
+							'street': { valueType: 'string' },
+							'city': { valueType: 'string', column: 'town' }
+						}
+					},
+					'ownerRef': { valueType: 'ref(Owner)', column: 'owner_id' }
+				}
+			},
+			'Owner': {
+				table: 'owners',
+				properties: {
+					'id': { valueType: 'number', role: 'id' },
+					'name': { valueType: 'string' }
+				}
+			}
+		});
+		it('should prefix embedded object columns in mysql', function() {
+			expect(rsparser.buildSelect(siteTypes, 'Site', [
+				'billing', 'shipping', 'ownerRef:'
+			]).sql).to.equal(
+				'SELECT\n' +
+				'    t0.`id` AS `id`,\n' +
+				'    1 AS `billing`,\n' +
+				'    t0.`street` AS `a$street`,\n' +
+				'    CASE WHEN t0.`ship_street` IS NULL THEN NULL ELSE 1 END' +
+				' AS `shipping`,\n' +
+				'    t0.`ship_street` AS `b$street`,\n' +
+				'    t0.`ship_town` AS `b$city`,\n' +
+				'    t1.`id` AS `ownerRef:`,\n' +
+				'    t1.`id` AS `c$id`,\n' +
+				'    t1.`name` AS `c$name`\n' +
+				'FROM\n' +
+				'    `sites` AS t0\n' +
+				'    LEFT JOIN `owners` AS t1 ON t1.`id` = t0.`owner_id`\n' +
+				'ORDER BY\n' +
+				'    t0.`id`');
+		});
+		it('should quote identifiers for sqlite', function() {
+			expect(rsparser.buildSelect(siteTypes, 'Site', [
+				'shipping.city'
+			], { dialect: 'sqlite', where: 't0."id" = ?' }).sql).to.equal(
+				'SELECT\n' +
+				'    t0."id" AS "id",\n' +
+				'    CASE WHEN t0."ship_town" IS NULL THEN NULL ELSE 1 END' +
+				' AS "shipping",\n' +
+				'    t0."ship_town" AS "a$city"\n' +
+				'FROM\n' +
+				'    "sites" AS t0\n' +
+				'WHERE\n' +
+				'    t0."id" = ?\n' +
+				'ORDER BY\n' +
+				'    t0."id"');
+		});
+		it('should reject properties mapped to the same column', function() {
+			const clashTypes = records.with(rsparser).buildLibrary({
+				'Site': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'billing': {
+							valueType: 'object',
+							properties: { 'street': { valueType: 'string' } }
+						},
+						'shipping': {
+							valueType: 'object',
+							properties: { 'street': { valueType: 'string' } }
+						}
+					}
+				}
+			});
+			expect(() => rsparser.buildSelect(
+				clashTypes, 'Site', [ 'billing', 'shipping' ]
+			)).to.throw(/billing.street and shipping.street .* same column/);
+		});
+		it('should require collection mapping attributes', function() {
+			expect(() => rsparser.buildSelect(
+				recordTypes, 'Account', [ 'tags' ], { dialect: 'mysql' }
+			)).to.throw(/tags of record type Account does not have parentIdColumn/);
+		});
+	});
+	describe('.validateMarkup()', function() {
+		it('should report all problems', function() {
+			const problems = rsparser.validateMarkup(recordTypes, 'Account', [
+				'id', 'adress', 'a$city', 'tags:', 'b$', 'c$x'
+			]);
+			expect(problems.map(p => p.colInd)).to.eql([ 1, 3, 5 ]);
+			expect(problems[0]).to.eql({
+				colInd: 1,
+				markup: 'adress',
+				expectedPrefix: '',
+				message: 'Markup column 1: record type Account does not have' +
+					' property adress.',
+				suggestion: 'Did you mean "address"?'
+			});
+			expect(problems[1].message).to.match(/cannot be fetched/);
+			expect(problems[2].message).to.match(
+				/cannot have any more properties/);
+			expect(problems[2].expectedPrefix).to.equal('');
+		});
+		it('should accept valid markup', function() {
+			expect(rsparser.validateMarkup(
+				recordTypes, 'Person', MARKUP)).to.be.empty;
+		});
+		it('should report every problem the parser rejects', function() {
+			const boxTypes = records.with(rsparser).buildLibrary({
+				'Box': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'inner': {
+							valueType: 'object',
+							properties: {
+								'items': { valueType: 'string[]' }
+							}
+						},
+						'tags': { valueType: 'string[]' }
+					}
+				}
+			});
+			[
+				[ recordTypes, 'Account', [ 'address', 'a$city' ],
+					/first column/i ],
+				[ recordTypes, 'Account', [ 'id', 'address', 'a$city',
+					'b$street' ], /unexpected column prefix/ ],
+				[ recordTypes, 'Account', [ 'id', 'tags', 'a$', 'address',
+					'b$city' ], /cannot have any more properties/ ],
+				[ recordTypes, 'Account', [ 'id', 'adress' ],
+					/does not have property adress/ ],
+				[ recordTypes, 'Account', [ 'id', 'tags:', 'a$' ],
+					/cannot be fetched/ ],
+				[ boxTypes, 'Box', [ 'id', 'inner', 'a$items', 'aa$', 'tags',
+					'b$' ], /cannot have any more properties/ ]
+			].forEach(([ types, topRecordTypeName, markup, re ]) => {
+				const parser = rsparser.getResultSetParser(
+					types, topRecordTypeName);
+				let err;
+				try {
+					parser.init(markup);
+				} catch (e) {
+					err = e;
+				}
+				expect(err, markup.join()).to.be.instanceof(
+					common.X2SyntaxError);
+				expect(err.message).to.match(re);
+				const problems = rsparser.validateMarkup(
+					types, topRecordTypeName, markup);
+				expect(problems, markup.join()).to.have.lengthOf(1);
+				expect(problems[0].message).to.equal(err.message);
+				expect(err.message).to.match(
+					new RegExp('^Markup column ' + problems[0].colInd + ': '));
+			});
+		});
+	});
+	describe('.buildMarkup()', function() {
+		it('should build markup for property paths', function() {
+			const res = rsparser.buildMarkup(recordTypes, 'Account', [
+				'orderRefs.items.productRef:', 'address.city'
+			]);
+			expect(res.markup).to.eql([
+				'id', 'address', 'a$city',
+				'orderRefs:', 'b$id', 'b$items', 'ba$id', 'ba$productRef:',
+				'baa$id', 'baa$code'
+			]);
+			expect(res.columns[4]).to.eql({
+				markup: 'b$id',
+				propertyPath: 'orderRefs',
+				role: 'fetchedRef'
+			});
+			expect(res.columns[9].propertyPath).to.equal(
+				'orderRefs.items.productRef.code');
+			rsparser.getResultSetParser(recordTypes, 'Account').init(res.markup);
+		});
+		it('should reject more than one collection axis', function() {
+			expect(() => rsparser.buildMarkup(
+				recordTypes, 'Account', [ 'orderRefs', 'tags' ]
+			)).to.throw(/more than one collection axis/i);
+		});
+	});
 });